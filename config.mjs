@@ -0,0 +1,241 @@
+/**
+ * Config resolution: API key and launch defaults from env and config files.
+ *
+ * Each setting comes from the first source that has it:
+ *   1. command-line flags (applied by each command)
+ *   2. environment — CURSOR_API_KEY
+ *   3. project   — .cursor-team.json in the working directory or a parent
+ *   4. user      — ~/.cursor-team/config.json (under CURSOR_TEAM_HOME if set)
+ *   5. OpenClaw  — ~/.openclaw/openclaw.json, skills.entries["cursor-coding-team"].apiKey
+ *
+ * Project and user files share one shape. Top-level settings apply to every
+ * profile; a profile's own settings win over them:
+ *
+ *   {
+ *     "defaultProfile": "work",
+ *     "ref": "main",
+ *     "profiles": {
+ *       "work": { "apiKey": {"source": "env", "id": "CURSOR_WORK_KEY"}, "repo": "acme/app", "autoPr": true },
+ *       "oss":  { "apiKey": "key_...", "model": "auto" }
+ *     }
+ *   }
+ *
+ * The profile is --profile, else CURSOR_TEAM_PROFILE, else the first
+ * `defaultProfile` found. Secrets (`apiKey`, `webhookSecret`) may be a string
+ * or an OpenClaw-style `{"source": "env", "id": "VAR"}` reference.
+ */
+
+import { readFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { codedError } from "./errors.mjs";
+import { stateDir } from "./state.mjs";
+
+export const PROJECT_CONFIG_FILE = ".cursor-team.json";
+
+const SETTINGS = {
+  apiKey: "secret",
+  repo: "string",
+  ref: "string",
+  model: "string",
+  autoPr: "boolean",
+  webhookUrl: "string",
+  webhookSecret: "secret",
+};
+
+const SKILL_NAME = "cursor-coding-team";
+
+// ─── Sources ──────────────────────────────────────────────────────────────────
+
+/**
+ * Find the nearest project config, walking up from `cwd`.
+ * @param {string} cwd
+ * @returns {Promise<{path: string, text: string} | null>}
+ */
+async function findProjectConfig(cwd) {
+  let dir = resolve(cwd);
+  while (true) {
+    const file = await readOptional(join(dir, PROJECT_CONFIG_FILE));
+    if (file) return file;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+async function readOptional(path) {
+  try {
+    return { path, text: await readFile(path, "utf8") };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw codedError("INVALID_ARGUMENT", `Cannot read config ${path}: ${err.message}`, { path });
+  }
+}
+
+function parseConfigFile({ path, text }) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw codedError("INVALID_ARGUMENT", `Invalid JSON in config ${path}: ${err.message}`, { path });
+  }
+  if (!isObject(config)) {
+    throw codedError("INVALID_ARGUMENT", `Config ${path} must be a JSON object`, { path });
+  }
+  const { defaultProfile, profiles = {}, ...settings } = config;
+  if (defaultProfile !== undefined && typeof defaultProfile !== "string") {
+    throw fieldError(path, "defaultProfile", "must be a string");
+  }
+  if (!isObject(profiles)) {
+    throw fieldError(path, "profiles", "must be an object of named profiles");
+  }
+  checkSettings(settings, path, "");
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isObject(profile)) throw fieldError(path, `profiles.${name}`, "must be an object");
+    checkSettings(profile, path, `profiles.${name}.`);
+  }
+  return { path, defaultProfile, profiles, settings };
+}
+
+function checkSettings(settings, path, prefix) {
+  for (const [key, value] of Object.entries(settings)) {
+    const expected = SETTINGS[key];
+    if (!expected) {
+      throw fieldError(path, prefix + key, `unknown setting (expected one of: ${Object.keys(SETTINGS).join(", ")})`);
+    }
+    const ok =
+      expected === "secret"
+        ? typeof value === "string" || isObject(value)
+        : typeof value === expected;
+    if (!ok) {
+      throw fieldError(path, prefix + key, `must be a ${expected === "secret" ? "string or {source, id} reference" : expected}`);
+    }
+  }
+}
+
+/**
+ * The OpenClaw skill entry's API key. OpenClaw's config may be JSON5, which
+ * this reader does not parse; an unreadable file is skipped with a warning
+ * rather than breaking every command.
+ * @returns {Promise<{path: string, apiKey?: any, warning?: string} | null>}
+ */
+async function readOpenClawConfig() {
+  const path = join(homedir(), ".openclaw", "openclaw.json");
+  let file;
+  try {
+    file = await readOptional(path);
+  } catch (err) {
+    return { path, warning: err.message };
+  }
+  if (!file) return null;
+  try {
+    return { path, apiKey: JSON.parse(file.text)?.skills?.entries?.[SKILL_NAME]?.apiKey };
+  } catch (err) {
+    return { path, warning: `Skipped ${path}: not plain JSON (${err.message})` };
+  }
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the API key and launch defaults.
+ * @param {object} [options]
+ * @param {string} [options.profile]           — --profile
+ * @param {string} [options.cwd=process.cwd()] — Where to start looking for the project config
+ * @returns {Promise<ResolvedConfig>}
+ */
+export async function resolveConfig({ profile, cwd = process.cwd() } = {}) {
+  const files = [];
+  const project = await findProjectConfig(cwd);
+  if (project) files.push({ source: "project", ...parseConfigFile(project) });
+  const user = await readOptional(join(stateDir(), "config.json"));
+  if (user) files.push({ source: "user", ...parseConfigFile(user) });
+
+  let profileSource = "--profile";
+  if (!profile && process.env.CURSOR_TEAM_PROFILE) {
+    profile = process.env.CURSOR_TEAM_PROFILE;
+    profileSource = "env CURSOR_TEAM_PROFILE";
+  }
+  if (!profile) {
+    const withDefault = files.find((f) => f.defaultProfile);
+    profile = withDefault?.defaultProfile;
+    profileSource = withDefault && `${withDefault.source} ${withDefault.path}`;
+  }
+  if (profile && !files.some((f) => f.profiles[profile])) {
+    const known = [...new Set(files.flatMap((f) => Object.keys(f.profiles)))];
+    throw codedError(
+      "INVALID_ARGUMENT",
+      `Unknown profile "${profile}" (from ${profileSource}). ` +
+        (known.length > 0 ? `Defined profiles: ${known.join(", ")}` : "No config file defines any profiles."),
+      { profile, files: files.map((f) => f.path) }
+    );
+  }
+
+  const config = { profile, profileSource: profile ? profileSource : undefined, sources: {}, warnings: [] };
+  const set = (key, value, source) => {
+    if (value === undefined || config[key] !== undefined) return;
+    config[key] = SETTINGS[key] === "secret" ? resolveSecret(value, key, source) : value;
+    if (config[key] !== undefined) config.sources[key] = source;
+  };
+
+  set("apiKey", process.env.CURSOR_API_KEY || undefined, "env CURSOR_API_KEY");
+  for (const file of files) {
+    const settings = { ...file.settings, ...(profile ? file.profiles[profile] : {}) };
+    for (const key of Object.keys(SETTINGS)) {
+      set(key, settings[key], `${file.source} ${file.path}`);
+    }
+  }
+  const openClaw = await readOpenClawConfig();
+  if (openClaw?.warning) config.warnings.push(openClaw.warning);
+  try {
+    set("apiKey", openClaw?.apiKey, `openclaw ${openClaw?.path}`);
+  } catch (err) {
+    // OpenClaw supports secret sources this reader does not
+    config.warnings.push(err.message);
+  }
+
+  return config;
+}
+
+/**
+ * Turn a secret setting into its value. An env reference to an unset
+ * variable resolves to undefined, so the next source gets a chance.
+ * @param {string | {source: string, id: string}} value
+ * @param {string} key
+ * @param {string} source
+ * @returns {string|undefined}
+ */
+function resolveSecret(value, key, source) {
+  if (typeof value === "string") return value || undefined;
+  if (value?.source === "env" && typeof value.id === "string") {
+    return process.env[value.id] || undefined;
+  }
+  throw codedError(
+    "INVALID_ARGUMENT",
+    `${source}: "${key}" must be a string or {"source": "env", "id": "VAR_NAME"}`,
+    { key }
+  );
+}
+
+function fieldError(path, field, message) {
+  return codedError("INVALID_ARGUMENT", `Config ${path} → "${field}": ${message}`, { path, field });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @typedef {object} ResolvedConfig
+ * @property {string} [apiKey]
+ * @property {string} [repo]
+ * @property {string} [ref]
+ * @property {string} [model]
+ * @property {boolean} [autoPr]
+ * @property {string} [webhookUrl]
+ * @property {string} [webhookSecret]
+ * @property {string} [profile]
+ * @property {string} [profileSource]                — Where the profile name came from
+ * @property {Record<string, string>} sources        — Setting → "env CURSOR_API_KEY", "project <path>", ...
+ * @property {string[]} warnings
+ */
@@ -0,0 +1,347 @@
+/**
+ * Type declarations for cursor-api.mjs, the Cursor Cloud Agents API client.
+ *
+ * Response types describe the fields this package reads; the API may return
+ * more. With `validateResponses`, the same shapes are checked at runtime (see
+ * schemas.mjs) and a mismatch throws an INVALID_RESPONSE error.
+ */
+
+// ─── API Objects ──────────────────────────────────────────────────────────────
+
+export type AgentStatus = "CREATING" | "RUNNING" | "FINISHED" | "STOPPED" | "FAILED";
+
+export interface AgentSource {
+  repository: string;
+  ref?: string;
+}
+
+export interface AgentTarget {
+  branchName?: string;
+  /** Agent page on cursor.com */
+  url?: string;
+  /** Set once a PR has been opened */
+  prUrl?: string;
+  autoCreatePr?: boolean;
+  openAsCursorGithubApp?: boolean;
+  skipReviewerRequest?: boolean;
+}
+
+export interface Agent {
+  id: string;
+  name?: string;
+  status: AgentStatus;
+  source: AgentSource;
+  target?: AgentTarget;
+  /** Set once the agent has finished a turn */
+  summary?: string;
+  /** ISO timestamp */
+  createdAt: string;
+}
+
+export interface ConversationMessage {
+  id: string;
+  type: "user_message" | "assistant_message";
+  text: string;
+}
+
+export interface Conversation {
+  id: string;
+  messages: ConversationMessage[];
+}
+
+export interface Repository {
+  owner: string;
+  name: string;
+  /** GitHub URL */
+  repository: string;
+}
+
+export interface ApiKeyInfo {
+  apiKeyName: string;
+  createdAt: string;
+  userEmail?: string;
+}
+
+export interface PromptImage {
+  /** Base64-encoded PNG, JPEG or WebP data */
+  data: string;
+  dimension: { width: number; height: number };
+}
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+
+export interface LaunchParams {
+  /** Task description */
+  promptText: string;
+  promptImages?: PromptImage[];
+  /** GitHub repo URL or "owner/repo" */
+  repository: string;
+  /** Git ref (default: main) */
+  ref?: string;
+  /** Model name (default: auto) */
+  model?: string;
+  autoCreatePr?: boolean;
+  openAsCursorGithubApp?: boolean;
+  skipReviewerRequest?: boolean;
+  branchName?: string;
+  webhookUrl?: string;
+  /** HMAC secret, at least 32 characters */
+  webhookSecret?: string;
+}
+
+export interface RetryPolicy {
+  /** Max retries after the first attempt (0 disables) */
+  retries: number;
+  /** Base delay for the first retry */
+  minDelayMs: number;
+  /** Cap on the computed backoff delay */
+  maxDelayMs: number;
+  /** Give up instead of waiting longer than this for Retry-After */
+  maxRetryAfterMs: number;
+}
+
+export interface CallOptions {
+  /** Cancels the call; it then rejects with an ABORTED error */
+  signal?: AbortSignal;
+}
+
+export interface RequestOptions extends CallOptions {
+  /** Defaults to true for everything except POST */
+  idempotent?: boolean;
+}
+
+export interface AgentFilter {
+  /** One or more statuses (case-insensitive) */
+  status?: string | string[];
+  /** Repository URL or "owner/repo" */
+  repo?: string;
+  /** Only agents created at or after this time */
+  since?: string | number | Date;
+  /** Only agents created before this time */
+  before?: string | number | Date;
+  /** Case-insensitive substring of the agent name */
+  nameContains?: string;
+  /** Prefix of the agent's branch name */
+  branchPrefix?: string;
+}
+
+export interface IterateOptions extends AgentFilter, CallOptions {
+  /** Agents per request (default and max 100) */
+  pageSize?: number;
+  /** Page to start from */
+  cursor?: string;
+}
+
+export interface RequestEvent {
+  method: string;
+  path: string;
+  /** Request body as sent; may hold webhook secrets and image data */
+  body?: object;
+  /** The agent in the path, or the new agent's ID for a launch */
+  agentId?: string;
+  /** 0 for the first try, 1 for the first retry, … */
+  attempt: number;
+  /** Time spent on this attempt, excluding rate-limit waits */
+  durationMs: number;
+  /** HTTP status, if a response arrived */
+  status?: number;
+  /** Set when the attempt failed */
+  error?: CursorApiError;
+  /** Set when a failed attempt will be retried after this delay */
+  retryInMs?: number;
+}
+
+export type WatchEvent =
+  | { type: "change"; at: string; id: string; agent: Agent; previousStatus?: string; changed: Array<"status" | "summary" | "prUrl"> }
+  | { type: "error"; at: string; id: string; error: string }
+  | { type: "done"; at: string }
+  | { type: "timeout"; at: string; pending: string[] };
+
+export interface ClientOptions {
+  apiKey: string;
+  /** API origin (default: configure(), CURSOR_API_BASE_URL, then https://api.cursor.com) */
+  baseUrl?: string;
+  /** Abort an attempt that has not completed within this time (default: configure(), 60000; 0 disables) */
+  timeoutMs?: number;
+  /** Merged over the configure() policy */
+  retry?: Partial<RetryPolicy>;
+  /** Default: the shared limiter from configure(); null disables limiting */
+  rateLimiter?: RateLimiter | null;
+  /** fetch implementation, e.g. a stub in tests */
+  fetch?: typeof fetch;
+  /** Sent as the User-Agent header */
+  userAgent?: string;
+  /** Called after every attempt, for logging and metrics (default: configure()) */
+  onRequest?: (event: RequestEvent) => void;
+  /** Check response shapes and throw INVALID_RESPONSE on a mismatch (default: configure(), false) */
+  validateResponses?: boolean;
+}
+
+export interface ConfigureOptions {
+  retry?: Partial<RetryPolicy>;
+  /** Replace the in-memory limiter (null disables limiting) */
+  rateLimiter?: RateLimiter | null;
+  /** API origin, e.g. a local mock server */
+  baseUrl?: string;
+  /** Per-attempt request timeout (default 60000; 0 disables) */
+  timeoutMs?: number;
+  /** Check response shapes and throw INVALID_RESPONSE on a mismatch (default false) */
+  validateResponses?: boolean;
+  /** Called after every attempt by clients without their own hook (null removes it) */
+  onRequest?: ((event: RequestEvent) => void) | null;
+}
+
+// ─── Errors ───────────────────────────────────────────────────────────────────
+
+export type ErrorCode =
+  | "INTERNAL"
+  | "PARTIAL_FAILURE"
+  | "POLL_TIMEOUT"
+  | "INVALID_ARGUMENT"
+  | "AUTH_FAILED"
+  | "FORBIDDEN"
+  | "NOT_FOUND"
+  | "RATE_LIMITED"
+  | "SERVER_ERROR"
+  | "NETWORK_ERROR"
+  | "API_ERROR"
+  | "INVALID_RESPONSE"
+  | "ABORTED";
+
+/** Errors thrown by the client: a plain Error with these extra fields */
+export interface CursorApiError extends Error {
+  code: ErrorCode;
+  /** HTTP status, if a response arrived */
+  status?: number;
+  /** Parsed error response body */
+  body?: unknown;
+  /** Retries already made */
+  retries?: number;
+  retryable?: boolean;
+  retryAfterMs?: number;
+  /** Underlying network error code, e.g. ECONNREFUSED or ETIMEDOUT */
+  networkCode?: string;
+  /** Code-specific data, e.g. {endpoint, field, expected, actual} for INVALID_RESPONSE */
+  details?: Record<string, unknown>;
+  /** pollAgent: the last agent snapshot on POLL_TIMEOUT or ABORTED */
+  agent?: Agent;
+  /** pollAgents: the latest snapshot of every agent on ABORTED */
+  agents?: Agent[];
+}
+
+// ─── Rate Limiting ────────────────────────────────────────────────────────────
+
+export interface BucketLimit {
+  /** Max requests per window (also the burst size) */
+  capacity: number;
+  /** Window length; tokens refill continuously over it */
+  windowMs: number;
+}
+
+export const DEFAULT_RATE_LIMITS: Record<string, BucketLimit[]>;
+
+export class RateLimiter {
+  constructor(options?: { limits?: Record<string, BucketLimit[]>; statePath?: string });
+  limits: Record<string, BucketLimit[]>;
+  statePath?: string;
+  /** Wait until a token is available for the family, then consume it. An aborted waiter leaves the queue without consuming one. */
+  acquire(family: string | null, options?: { signal?: AbortSignal }): Promise<void>;
+  /** Milliseconds until the family has a token, without consuming one */
+  waitTime(family: string): Promise<number>;
+}
+
+// ─── Client ───────────────────────────────────────────────────────────────────
+
+export class CursorClient {
+  constructor(options: ClientOptions);
+  apiKey: string;
+  baseUrl?: string;
+  timeoutMs?: number;
+  retry?: Partial<RetryPolicy>;
+  rateLimiter?: RateLimiter | null;
+  userAgent?: string;
+  onRequest?: (event: RequestEvent) => void;
+  validateResponses?: boolean;
+
+  getBaseUrl(): string;
+  request<T = unknown>(method: string, path: string, body?: object, options?: RequestOptions): Promise<T>;
+
+  launchAgent(params: LaunchParams, options?: CallOptions): Promise<Agent>;
+  listAgents(limit?: number, cursor?: string, options?: CallOptions): Promise<{ agents: Agent[]; nextCursor?: string }>;
+  iterateAgents(options?: IterateOptions): AsyncGenerator<Agent, void, undefined>;
+  getAgent(id: string, options?: CallOptions): Promise<Agent>;
+  getAgentConversation(id: string, options?: CallOptions): Promise<Conversation>;
+  addFollowUp(id: string, promptText: string, promptImages?: PromptImage[], options?: CallOptions): Promise<{ id: string }>;
+  stopAgent(id: string, options?: CallOptions): Promise<{ id: string }>;
+  deleteAgent(id: string, options?: CallOptions): Promise<{ id?: string }>;
+
+  getApiKeyInfo(options?: CallOptions): Promise<ApiKeyInfo>;
+  listModels(options?: CallOptions): Promise<{ models: string[] }>;
+  /** Strict rate limit: 1 req/min, 30 req/hour; may wait up to a minute */
+  listRepositories(options?: CallOptions): Promise<{ repositories: Repository[] }>;
+
+  pollAgent(id: string, intervalMs?: number, timeoutMs?: number, options?: CallOptions): Promise<Agent>;
+  /** Agents that could not be fetched come back as {id, status: "UNKNOWN"} */
+  pollAgents(
+    ids: string[],
+    intervalMs?: number,
+    timeoutMs?: number,
+    options?: CallOptions
+  ): Promise<Array<Agent | { id: string; status: "UNKNOWN" }>>;
+  watchAgents(ids: string[], intervalMs?: number, timeoutMs?: number, options?: CallOptions): AsyncGenerator<WatchEvent, void, undefined>;
+}
+
+// ─── Module Configuration ─────────────────────────────────────────────────────
+
+export function configure(options?: ConfigureOptions): void;
+export function getBaseUrl(): string;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** The POST /v0/agents body launchAgent() would send */
+export function buildLaunchBody(params: LaunchParams): Record<string, unknown>;
+/** "owner/repo", "github.com/owner/repo" and full URLs compare equal after this */
+export function normalizeRepo(repo: string): string;
+export function matchesAgentFilter(agent: Agent, filters?: AgentFilter): boolean;
+export function isTerminalStatus(status: string): boolean;
+export function sleep(ms: number, signal?: AbortSignal): Promise<void>;
+
+// ─── Function API ─────────────────────────────────────────────────────────────
+
+export function launchAgent(apiKey: string, params: LaunchParams, options?: CallOptions): Promise<Agent>;
+export function listAgents(
+  apiKey: string,
+  limit?: number,
+  cursor?: string,
+  options?: CallOptions
+): Promise<{ agents: Agent[]; nextCursor?: string }>;
+export function iterateAgents(apiKey: string, options?: IterateOptions): AsyncGenerator<Agent, void, undefined>;
+export function getAgent(apiKey: string, id: string, options?: CallOptions): Promise<Agent>;
+export function getAgentConversation(apiKey: string, id: string, options?: CallOptions): Promise<Conversation>;
+export function addFollowUp(
+  apiKey: string,
+  id: string,
+  promptText: string,
+  promptImages?: PromptImage[],
+  options?: CallOptions
+): Promise<{ id: string }>;
+export function stopAgent(apiKey: string, id: string, options?: CallOptions): Promise<{ id: string }>;
+export function deleteAgent(apiKey: string, id: string, options?: CallOptions): Promise<{ id?: string }>;
+export function getApiKeyInfo(apiKey: string, options?: CallOptions): Promise<ApiKeyInfo>;
+export function listModels(apiKey: string, options?: CallOptions): Promise<{ models: string[] }>;
+export function listRepositories(apiKey: string, options?: CallOptions): Promise<{ repositories: Repository[] }>;
+export function pollAgent(apiKey: string, id: string, intervalMs?: number, timeoutMs?: number, options?: CallOptions): Promise<Agent>;
+export function pollAgents(
+  apiKey: string,
+  ids: string[],
+  intervalMs?: number,
+  timeoutMs?: number,
+  options?: CallOptions
+): Promise<Array<Agent | { id: string; status: "UNKNOWN" }>>;
+export function watchAgents(
+  apiKey: string,
+  ids: string[],
+  intervalMs?: number,
+  timeoutMs?: number,
+  options?: CallOptions
+): AsyncGenerator<WatchEvent, void, undefined>;
@@ -4,10 +4,22 @@
  * Type-safe wrapper for https://api.cursor.com/v0/*
  * Authentication: Basic Auth with API key (key: as username, empty password)
  *
+ * `CursorClient` holds an API key plus per-client settings (base URL, timeout,
+ * retry policy, fetch, hooks). The function exports take the key as their
+ * first argument and are thin wrappers over a client using configure().
+ * TypeScript declarations are in cursor-api.d.ts; with `validateResponses`,
+ * responses are also checked against them at runtime (see schemas.mjs).
+ *
  * @see https://cursor.com/docs/cloud-agent/api/endpoints
  */
 
-const BASE_URL = "https://api.cursor.com";
+import { codeForStatus, codedError } from "./errors.mjs";
+import { RateLimiter, endpointFamily } from "./rate-limiter.mjs";
+import { validateResponse } from "./schemas.mjs";
+
+export { RateLimiter, DEFAULT_RATE_LIMITS } from "./rate-limiter.mjs";
+
+const DEFAULT_BASE_URL = "https://api.cursor.com";
 
 /**
  * Build Basic Auth header from API key.
@@ -21,93 +33,854 @@ function authHeader(apiKey) {
   return `Basic ${encoded}`;
 }
 
+// ─── Retry Policy ─────────────────────────────────────────────────────────────
+
 /**
- * Core HTTP request handler with structured error handling.
- * @param {string} apiKey
- * @param {string} method
+ * @typedef {object} RetryPolicy
+ * @property {number} retries          — Max retries after the first attempt (0 disables)
+ * @property {number} minDelayMs       — Base delay for the first retry
+ * @property {number} maxDelayMs       — Cap on the computed backoff delay
+ * @property {number} maxRetryAfterMs  — Give up instead of waiting longer than this for Retry-After
+ */
+
+/** @type {RetryPolicy} */
+const DEFAULT_RETRY = {
+  retries: 3,
+  minDelayMs: 500,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 120000,
+};
+
+// Per-attempt limit, so a hung connection cannot stall a poller past its deadline
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const clientConfig = {
+  retry: { ...DEFAULT_RETRY },
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  rateLimiter: new RateLimiter(),
+  /** @type {string|undefined} Set by configure(); otherwise CURSOR_API_BASE_URL or the public API */
+  baseUrl: undefined,
+  validateResponses: false,
+  /** @type {((event: RequestEvent) => void)|undefined} */
+  onRequest: undefined,
+};
+
+/**
+ * Configure module-wide defaults, used by the function exports and by any
+ * CursorClient that does not override them.
+ * @param {object} options
+ * @param {Partial<RetryPolicy>} [options.retry]
+ * @param {RateLimiter|null} [options.rateLimiter] — Replace the in-memory limiter (null disables limiting)
+ * @param {string} [options.baseUrl] — API origin, e.g. a local mock server (default: CURSOR_API_BASE_URL, then https://api.cursor.com)
+ * @param {number} [options.timeoutMs] — Per-attempt request timeout (default 60000; 0 disables)
+ * @param {boolean} [options.validateResponses] — Check response shapes and throw INVALID_RESPONSE on a mismatch (default false)
+ * @param {((event: RequestEvent) => void)|null} [options.onRequest] — Called after every attempt by clients without their own hook (null removes it)
+ */
+export function configure(options = {}) {
+  if (options.retry) {
+    clientConfig.retry = { ...clientConfig.retry, ...options.retry };
+  }
+  if (options.rateLimiter !== undefined) {
+    clientConfig.rateLimiter = options.rateLimiter;
+  }
+  if (options.baseUrl !== undefined) {
+    clientConfig.baseUrl = options.baseUrl;
+  }
+  if (options.timeoutMs !== undefined) {
+    clientConfig.timeoutMs = options.timeoutMs;
+  }
+  if (options.validateResponses !== undefined) {
+    clientConfig.validateResponses = options.validateResponses;
+  }
+  if (options.onRequest !== undefined) {
+    clientConfig.onRequest = options.onRequest ?? undefined;
+  }
+}
+
+/**
+ * The module-wide API origin, without a trailing slash.
+ * @returns {string}
+ */
+export function getBaseUrl() {
+  const url = clientConfig.baseUrl || process.env.CURSOR_API_BASE_URL || DEFAULT_BASE_URL;
+  return url.replace(/\/+$/, "");
+}
+
+// Network failures where the request provably never reached the server,
+// so even a non-idempotent POST can be retried safely.
+const NOT_SENT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed attempt may be retried.
+ * A 429 means the request was rejected before processing, so it is always safe.
+ * 5xx and mid-flight network errors are only retried for idempotent requests,
+ * so a POST /v0/agents launch is never silently duplicated.
+ * @param {Error & {status?: number, networkCode?: string}} err
+ * @param {boolean} idempotent
+ * @returns {boolean}
+ */
+function isRetryable(err, idempotent) {
+  if (err.status === 429) return true;
+  if (err.status !== undefined) return idempotent && RETRYABLE_STATUSES.has(err.status);
+  if (NOT_SENT_ERROR_CODES.has(err.networkCode)) return true;
+  return idempotent;
+}
+
+/**
+ * Exponential backoff with full jitter: random delay in [0, min(max, base * 2^attempt)].
+ * @param {number} attempt — 0 for the first retry
+ * @param {RetryPolicy} policy
+ * @returns {number}
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.minDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * The agent a request concerns: the ID in an /v0/agents/:id path, or the
+ * new agent's ID from a launch response.
  * @param {string} path
- * @param {object} [body]
- * @returns {Promise<any>}
+ * @param {any} [data]
+ * @returns {string|undefined}
  */
-async function request(apiKey, method, path, body) {
-  const url = `${BASE_URL}${path}`;
-  const headers = {
-    Authorization: authHeader(apiKey),
-    Accept: "application/json",
-  };
+function agentIdFor(path, data) {
+  const pathname = path.split("?")[0];
+  const match = /^\/v0\/agents\/([^/]+)/.exec(pathname);
+  if (match) return decodeURIComponent(match[1]);
+  if (pathname === "/v0/agents" && typeof data?.id === "string") return data.id;
+  return undefined;
+}
+
+// ─── Cancellation ─────────────────────────────────────────────────────────────
+
+/**
+ * ABORTED error for a cancelled call. A fresh error each time, since the
+ * request loop annotates what it throws and one signal may end many calls.
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function abortError(signal) {
+  const reason = signal.reason;
+  const err = codedError("ABORTED", reason?.message || "Operation aborted");
+  err.cause = reason;
+  return err;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError(signal);
+}
+
+/**
+ * Settle with `promise`, or reject with an ABORTED error as soon as `signal` fires.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// ─── Client ───────────────────────────────────────────────────────────────────
+
+/**
+ * Stateful API client. Holds the API key and per-client settings; anything
+ * left unset falls back to the module-wide defaults from configure(), read
+ * at request time.
+ *
+ * @example
+ * const client = new CursorClient({
+ *   apiKey: process.env.CURSOR_API_KEY,
+ *   timeoutMs: 30000,
+ *   onRequest: (e) => console.error(e.method, e.path, e.status, `${e.durationMs}ms`),
+ * });
+ * const agent = await client.launchAgent({ promptText: "Fix the flaky test", repository });
+ * await client.pollAgent(agent.id);
+ */
+export class CursorClient {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey
+   * @param {string} [options.baseUrl]      — API origin (default: configure(), CURSOR_API_BASE_URL, then https://api.cursor.com)
+   * @param {number} [options.timeoutMs]    — Abort an attempt that has not completed within this time (default: configure(), 60000; 0 disables)
+   * @param {Partial<RetryPolicy>} [options.retry] — Merged over the configure() policy
+   * @param {RateLimiter|null} [options.rateLimiter] — Default: the shared limiter from configure(); null disables limiting
+   * @param {typeof fetch} [options.fetch]  — fetch implementation, e.g. a stub in tests
+   * @param {string} [options.userAgent]    — Sent as the User-Agent header
+   * @param {(event: RequestEvent) => void} [options.onRequest] — Called after every attempt, for logging and metrics (default: configure())
+   * @param {boolean} [options.validateResponses] — Check response shapes (default: configure(), false)
+   */
+  constructor({ apiKey, baseUrl, timeoutMs, retry, rateLimiter, fetch, userAgent, onRequest, validateResponses } = {}) {
+    if (!apiKey) {
+      throw codedError("INVALID_ARGUMENT", "CursorClient requires an apiKey");
+    }
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.retry = retry;
+    this.rateLimiter = rateLimiter;
+    this.userAgent = userAgent;
+    this.onRequest = onRequest;
+    this.validateResponses = validateResponses;
+    this.#fetch = fetch;
+  }
+
+  #fetch;
+
+  /**
+   * The API origin this client sends requests to, without a trailing slash.
+   * @returns {string}
+   */
+  getBaseUrl() {
+    return this.baseUrl ? this.baseUrl.replace(/\/+$/, "") : getBaseUrl();
+  }
+
+  /**
+   * Send a request, retrying transient failures (429, 5xx, network) with
+   * exponential backoff and jitter, honoring Retry-After.
+   * Thrown errors carry `code` (see errors.mjs), `status`, `body`, `retries`
+   * (how many retries were made) and `retryable`. With `validateResponses`, a
+   * body that does not match the endpoint's schema throws INVALID_RESPONSE
+   * without retrying.
+   * @param {string} method
+   * @param {string} path    — Path and query, e.g. "/v0/agents?limit=10"
+   * @param {object} [body]
+   * @param {object} [options]
+   * @param {boolean} [options.idempotent] — Defaults to true for everything except POST
+   * @param {AbortSignal} [options.signal] — Cancels the request, including retry and rate-limit waits
+   * @returns {Promise<any>}
+   */
+  async request(method, path, body, options = {}) {
+    const { signal } = options;
+    const idempotent = options.idempotent ?? method !== "POST";
+    const policy = { ...clientConfig.retry, ...this.retry };
+    const rateLimiter = this.rateLimiter === undefined ? clientConfig.rateLimiter : this.rateLimiter;
+    const family = endpointFamily(path);
+    const validate = this.validateResponses ?? clientConfig.validateResponses;
+
+    let data;
+    for (let attempt = 0; ; attempt++) {
+      let startedAt = Date.now();
+      try {
+        throwIfAborted(signal);
+        // Every attempt, including retries, spends a token from the endpoint's bucket
+        if (rateLimiter) await untilAborted(rateLimiter.acquire(family, { signal }), signal);
+        startedAt = Date.now();
+        const response = await this.#attempt(method, path, body, signal);
+        this.#emit({
+          method,
+          path,
+          body,
+          agentId: agentIdFor(path, response.data),
+          attempt,
+          status: response.status,
+          durationMs: Date.now() - startedAt,
+        });
+        data = response.data;
+        break;
+      } catch (err) {
+        if (err.code === "ABORTED") {
+          // Cancelled by the caller: never retried
+          this.#emit({
+            method,
+            path,
+            body,
+            agentId: agentIdFor(path),
+            attempt,
+            durationMs: Date.now() - startedAt,
+            error: err,
+          });
+          throw err;
+        }
+        err.retryable = isRetryable(err, idempotent);
+        err.retries = attempt;
+
+        const exhausted = attempt >= policy.retries;
+        const waitTooLong = err.retryAfterMs > policy.maxRetryAfterMs;
+        const giveUp = !err.retryable || exhausted || waitTooLong;
+        if (giveUp && attempt > 0) {
+          err.message += ` (gave up after ${attempt} ${attempt === 1 ? "retry" : "retries"})`;
+        }
+        const retryInMs = giveUp ? undefined : err.retryAfterMs ?? backoffDelay(attempt, policy);
+        this.#emit({
+          method,
+          path,
+          body,
+          agentId: agentIdFor(path),
+          attempt,
+          status: err.status,
+          durationMs: Date.now() - startedAt,
+          error: err,
+          retryInMs,
+        });
+        if (giveUp) throw err;
+
+        await sleep(retryInMs, signal);
+      }
+    }
+
+    // Checked outside the retry loop: the same request would get the same shape
+    return validate ? validateResponse(method, path, data) : data;
+  }
+
+  /**
+   * Single HTTP attempt with structured error handling.
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [body]
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{status: number, data: any}>}
+   */
+  async #attempt(method, path, body, signal) {
+    const url = `${this.getBaseUrl()}${path}`;
+    const headers = {
+      Authorization: authHeader(this.apiKey),
+      Accept: "application/json",
+    };
+
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (this.userAgent) {
+      headers["User-Agent"] = this.userAgent;
+    }
+
+    const init = { method, headers };
+    if (body !== undefined) {
+      init.body = JSON.stringify(body);
+    }
+    const timeoutMs = this.timeoutMs ?? clientConfig.timeoutMs;
+    const signals = [signal, timeoutMs ? AbortSignal.timeout(timeoutMs) : null].filter(Boolean);
+    if (signals.length > 0) {
+      init.signal = AbortSignal.any(signals);
+    }
+
+    // Resolve the global at call time so stubs installed after construction apply
+    const fetchImpl = this.#fetch || globalThis.fetch;
+    let response;
+    let text;
+    try {
+      response = await fetchImpl(url, init);
+      // The body can stall too, so it is read under the same timeout
+      text = response.status === 204 ? "" : await response.text();
+    } catch (err) {
+      if (signal?.aborted) throw abortError(signal);
+      const timedOut = err.name === "TimeoutError";
+      const reason = timedOut ? `timed out after ${timeoutMs}ms` : err.message;
+      const netErr = new Error(`Network error calling ${method} ${path}: ${reason}`);
+      netErr.code = "NETWORK_ERROR";
+      netErr.networkCode = timedOut ? "ETIMEDOUT" : err.cause?.code || err.code;
+      throw netErr;
+    }
+
+    // 204 No Content (e.g. DELETE)
+    if (response.status === 204) {
+      return { status: 204, data: {} };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = null;
+    }
+
+    if (!response.ok) {
+      const msg =
+        data?.message || data?.error || text || `HTTP ${response.status}`;
+      const err = new Error(msg);
+      err.code = codeForStatus(response.status);
+      err.status = response.status;
+      err.body = data;
+      err.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+
+      if (response.status === 401) {
+        err.message = `Authentication failed: ${msg}. Check CURSOR_API_KEY.`;
+      } else if (response.status === 403) {
+        err.message = `Forbidden: ${msg}. Ensure the GitHub App is installed on this repo.`;
+      } else if (response.status === 404) {
+        err.message = `Not found: ${msg}. Agent may have been deleted.`;
+      } else if (response.status === 429) {
+        err.message = `Rate limit exceeded: ${msg}. Back off and retry.`;
+      }
+      throw err;
+    }
+
+    return { status: response.status, data };
+  }
+
+  #emit(event) {
+    const onRequest = this.onRequest ?? clientConfig.onRequest;
+    if (!onRequest) return;
+    try {
+      onRequest(event);
+    } catch {
+      // A logging or metrics hook must not fail the request it observes
+    }
+  }
+
+  // ─── Agent Lifecycle ────────────────────────────────────────────────────────
+
+  /**
+   * POST /v0/agents — Launch a new cloud agent.
+   *
+   * @param {object} params
+   * @param {string} params.promptText        — Task description
+   * @param {PromptImage[]} [params.promptImages] — Optional images
+   * @param {string} params.repository         — GitHub repo URL
+   * @param {string} [params.ref]              — Git ref (default: main)
+   * @param {string} [params.model]            — Model name (default: auto)
+   * @param {boolean}[params.autoCreatePr]     — Auto-create PR on finish
+   * @param {boolean}[params.openAsCursorGithubApp] — Open PR as Cursor GitHub App
+   * @param {boolean}[params.skipReviewerRequest]   — Skip reviewer request
+   * @param {string} [params.branchName]       — Custom branch name
+   * @param {string} [params.webhookUrl]       — Webhook URL
+   * @param {string} [params.webhookSecret]    — Webhook HMAC secret (≥32 chars)
+   * @param {CallOptions} [options]
+   * @returns {Promise<Agent>}
+   */
+  async launchAgent(params, options = {}) {
+    return this.request("POST", "/v0/agents", buildLaunchBody(params), { signal: options.signal });
+  }
+
+  /**
+   * GET /v0/agents — List agents with pagination.
+   * @param {number} [limit=20]  — Max 100
+   * @param {string} [cursor]    — Pagination cursor
+   * @param {CallOptions} [options]
+   * @returns {Promise<{agents: Agent[], nextCursor?: string}>}
+   */
+  async listAgents(limit = 20, cursor, options = {}) {
+    const params = new URLSearchParams();
+    params.set("limit", String(Math.min(limit, 100)));
+    if (cursor) params.set("cursor", cursor);
+    return this.request("GET", `/v0/agents?${params}`, undefined, { signal: options.signal });
+  }
+
+  /**
+   * Iterate over every agent, following `nextCursor` until the last page.
+   * Filters are applied client-side, since the API does not support them.
+   *
+   * @example
+   * for await (const agent of client.iterateAgents({ status: "RUNNING", repo: "owner/repo" })) {
+   *   console.log(agent.id);
+   * }
+   * @param {AgentFilter & CallOptions & {pageSize?: number, cursor?: string}} [options]
+   *   pageSize: agents per request (default and max 100); cursor: page to start from
+   * @returns {AsyncGenerator<Agent>}
+   */
+  async *iterateAgents(options = {}) {
+    const { pageSize = 100, cursor: startCursor, signal, ...filters } = options;
+    let cursor = startCursor;
+    const seen = new Set();
+    do {
+      const page = await this.listAgents(pageSize, cursor, { signal });
+      for (const agent of page.agents || []) {
+        if (matchesAgentFilter(agent, filters)) yield agent;
+      }
+      // Stop if the server ever hands back a cursor we've already followed
+      if (cursor) seen.add(cursor);
+      cursor = page.nextCursor && !seen.has(page.nextCursor) ? page.nextCursor : undefined;
+    } while (cursor);
+  }
+
+  /**
+   * GET /v0/agents/:id — Get agent details.
+   * @param {string} id
+   * @param {CallOptions} [options]
+   * @returns {Promise<Agent>}
+   */
+  async getAgent(id, options = {}) {
+    return this.request("GET", `/v0/agents/${encodeURIComponent(id)}`, undefined, { signal: options.signal });
+  }
+
+  /**
+   * GET /v0/agents/:id/conversation — Get conversation history.
+   * @param {string} id
+   * @param {CallOptions} [options]
+   * @returns {Promise<{id: string, messages: ConversationMessage[]}>}
+   */
+  async getAgentConversation(id, options = {}) {
+    return this.request(
+      "GET",
+      `/v0/agents/${encodeURIComponent(id)}/conversation`,
+      undefined,
+      { signal: options.signal }
+    );
+  }
 
-  if (body !== undefined) {
-    headers["Content-Type"] = "application/json";
+  /**
+   * POST /v0/agents/:id/followup — Send follow-up instruction.
+   * @param {string} id
+   * @param {string} promptText
+   * @param {PromptImage[]} [promptImages]
+   * @param {CallOptions} [options]
+   * @returns {Promise<{id: string}>}
+   */
+  async addFollowUp(id, promptText, promptImages, options = {}) {
+    const body = { prompt: { text: promptText } };
+    if (promptImages?.length) {
+      body.prompt.images = promptImages;
+    }
+    return this.request(
+      "POST",
+      `/v0/agents/${encodeURIComponent(id)}/followup`,
+      body,
+      { signal: options.signal }
+    );
   }
 
-  const init = { method, headers };
-  if (body !== undefined) {
-    init.body = JSON.stringify(body);
+  /**
+   * POST /v0/agents/:id/stop — Stop a running agent.
+   * @param {string} id
+   * @param {CallOptions} [options]
+   * @returns {Promise<{id: string}>}
+   */
+  async stopAgent(id, options = {}) {
+    // Stopping twice is harmless, so this POST may be retried like a GET
+    return this.request(
+      "POST",
+      `/v0/agents/${encodeURIComponent(id)}/stop`,
+      undefined,
+      { idempotent: true, signal: options.signal }
+    );
   }
 
-  let response;
-  try {
-    response = await fetch(url, init);
-  } catch (err) {
-    throw new Error(`Network error calling ${method} ${path}: ${err.message}`);
+  /**
+   * DELETE /v0/agents/:id — Delete an agent permanently.
+   * @param {string} id
+   * @param {CallOptions} [options]
+   * @returns {Promise<{id: string}>}
+   */
+  async deleteAgent(id, options = {}) {
+    return this.request("DELETE", `/v0/agents/${encodeURIComponent(id)}`, undefined, { signal: options.signal });
   }
 
-  // 204 No Content (e.g. DELETE)
-  if (response.status === 204) {
-    return {};
+  // ─── Utility ────────────────────────────────────────────────────────────────
+
+  /**
+   * GET /v0/me — API key info.
+   * @param {CallOptions} [options]
+   * @returns {Promise<{apiKeyName: string, createdAt: string, userEmail: string}>}
+   */
+  async getApiKeyInfo(options = {}) {
+    return this.request("GET", "/v0/me", undefined, { signal: options.signal });
   }
 
-  let data;
-  const text = await response.text();
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = null;
+  /**
+   * GET /v0/models — List available models.
+   * @param {CallOptions} [options]
+   * @returns {Promise<{models: string[]}>}
+   */
+  async listModels(options = {}) {
+    return this.request("GET", "/v0/models", undefined, { signal: options.signal });
   }
 
-  if (!response.ok) {
-    const msg =
-      data?.message || data?.error || text || `HTTP ${response.status}`;
-    const err = new Error(msg);
-    err.status = response.status;
-    err.body = data;
+  /**
+   * GET /v0/repositories — List connected repositories.
+   * ⚠️  Strict rate limit: 1 req/min, 30 req/hour. The client-side limiter
+   * queues calls to stay within it, so this may wait up to a minute.
+   * @param {CallOptions} [options]
+   * @returns {Promise<{repositories: Repository[]}>}
+   */
+  async listRepositories(options = {}) {
+    return this.request("GET", "/v0/repositories", undefined, { signal: options.signal });
+  }
+
+  // ─── Polling ────────────────────────────────────────────────────────────────
+
+  /**
+   * Poll a single agent until it reaches a terminal state.
+   * @param {string} id
+   * @param {number} [intervalMs=30000]
+   * @param {number} [timeoutMs=1800000]  — 30 min default
+   * @param {CallOptions} [options]
+   * @returns {Promise<Agent>}
+   * @throws {Error} On timeout or abort, with the last observed agent (if any) as `err.agent`
+   */
+  async pollAgent(id, intervalMs = 30000, timeoutMs = 1800000, options = {}) {
+    const { signal } = options;
+    const deadline = Date.now() + timeoutMs;
+    let last;
+
+    try {
+      while (Date.now() < deadline) {
+        last = await this.getAgent(id, { signal });
+        if (TERMINAL_STATUSES.has(last.status)) {
+          return last;
+        }
+        await sleep(intervalMs, signal);
+      }
+    } catch (err) {
+      if (err.code === "ABORTED" && last) err.agent = last;
+      throw err;
+    }
 
-    if (response.status === 401) {
-      err.message = `Authentication failed: ${msg}. Check CURSOR_API_KEY.`;
-    } else if (response.status === 403) {
-      err.message = `Forbidden: ${msg}. Ensure the GitHub App is installed on this repo.`;
-    } else if (response.status === 404) {
-      err.message = `Not found: ${msg}. Agent may have been deleted.`;
-    } else if (response.status === 429) {
-      err.message = `Rate limit exceeded: ${msg}. Back off and retry.`;
+    // Final check
+    const agent = await this.getAgent(id, { signal });
+    if (TERMINAL_STATUSES.has(agent.status)) {
+      return agent;
     }
+    const err = codedError(
+      "POLL_TIMEOUT",
+      `Agent ${id} did not reach terminal state within ${timeoutMs / 1000}s. Last status: ${agent.status}`
+    );
+    // Let callers report or stop the straggler instead of losing its last state
+    err.agent = agent;
     throw err;
   }
 
-  return data;
+  /**
+   * Poll multiple agents until all reach terminal states.
+   * @param {string[]} ids
+   * @param {number} [intervalMs=30000]
+   * @param {number} [timeoutMs=1800000]
+   * @param {CallOptions} [options]
+   * @returns {Promise<Agent[]>}
+   * @throws {Error} On abort, with the latest snapshot of every agent as `err.agents`
+   */
+  async pollAgents(ids, intervalMs = 30000, timeoutMs = 1800000, options = {}) {
+    const { signal } = options;
+    const deadline = Date.now() + timeoutMs;
+    const results = new Map();
+    const latest = new Map();
+
+    try {
+      while (Date.now() < deadline) {
+        const pending = ids.filter((id) => !results.has(id));
+        if (pending.length === 0) break;
+
+        // Check all pending in parallel
+        const checks = await Promise.allSettled(
+          pending.map((id) => this.getAgent(id, { signal }))
+        );
+        throwIfAborted(signal);
+
+        for (let i = 0; i < pending.length; i++) {
+          const result = checks[i];
+          if (result.status === "fulfilled") {
+            const agent = result.value;
+            latest.set(pending[i], agent);
+            if (TERMINAL_STATUSES.has(agent.status)) {
+              results.set(pending[i], agent);
+            }
+          }
+          // On rejection, we'll retry next iteration
+        }
+
+        if (results.size === ids.length) break;
+        await sleep(intervalMs, signal);
+      }
+    } catch (err) {
+      if (err.code === "ABORTED") {
+        err.agents = ids.map((id) => latest.get(id) || { id, status: "UNKNOWN" });
+      }
+      throw err;
+    }
+
+    // Final sweep for any still-pending
+    const stillPending = ids.filter((id) => !results.has(id));
+    if (stillPending.length > 0) {
+      const finalChecks = await Promise.allSettled(
+        stillPending.map((id) => this.getAgent(id, { signal }))
+      );
+      for (let i = 0; i < stillPending.length; i++) {
+        if (finalChecks[i].status === "fulfilled") {
+          results.set(stillPending[i], finalChecks[i].value);
+        }
+      }
+    }
+
+    return ids.map((id) => results.get(id) || { id, status: "UNKNOWN" });
+  }
+
+  /**
+   * Watch agents and yield an event each time one's status, summary or PR URL
+   * changes (including its first observation). The iterator ends with a `done`
+   * event once every agent is terminal, or a `timeout` event at the deadline.
+   * Unlike pollAgents, callers can react to the first finished agent immediately.
+   *
+   * @param {string[]} ids
+   * @param {number} [intervalMs=30000]
+   * @param {number} [timeoutMs=1800000]
+   * @param {CallOptions} [options]
+   * @returns {AsyncGenerator<WatchEvent>}
+   * @throws {Error} ABORTED when the signal fires; events already yielded hold the state so far
+   */
+  async *watchAgents(ids, intervalMs = 30000, timeoutMs = 1800000, options = {}) {
+    const { signal } = options;
+    const deadline = Date.now() + timeoutMs;
+    const last = new Map();
+    const done = new Set();
+
+    while (true) {
+      const pending = ids.filter((id) => !done.has(id));
+      const checks = await Promise.allSettled(
+        pending.map((id) => this.getAgent(id, { signal }))
+      );
+      // Aborted fetches are not per-agent errors, so don't report them as such
+      throwIfAborted(signal);
+      const at = new Date().toISOString();
+
+      for (let i = 0; i < pending.length; i++) {
+        const id = pending[i];
+        const result = checks[i];
+        if (result.status === "rejected") {
+          // Keep watching; the agent is retried next iteration
+          yield { type: "error", at, id, error: result.reason?.message };
+          continue;
+        }
+
+        const agent = result.value;
+        const snapshot = {
+          status: agent.status,
+          summary: agent.summary,
+          prUrl: agent.target?.prUrl,
+        };
+        const previous = last.get(id);
+        const changed = Object.keys(snapshot).filter((key) =>
+          previous ? previous[key] !== snapshot[key] : snapshot[key] !== undefined
+        );
+        last.set(id, snapshot);
+        if (TERMINAL_STATUSES.has(agent.status)) done.add(id);
+
+        if (!previous || changed.length > 0) {
+          yield { type: "change", at, id, agent, previousStatus: previous?.status, changed };
+        }
+      }
+
+      if (done.size === ids.length) {
+        yield { type: "done", at: new Date().toISOString() };
+        return;
+      }
+      if (Date.now() >= deadline) {
+        yield {
+          type: "timeout",
+          at: new Date().toISOString(),
+          pending: ids.filter((id) => !done.has(id)),
+        };
+        return;
+      }
+      await sleep(intervalMs, signal);
+    }
+  }
 }
 
-// ─── Agent Lifecycle ──────────────────────────────────────────────────────────
+/**
+ * @typedef {"CREATING"|"RUNNING"|"FINISHED"|"STOPPED"|"FAILED"} AgentStatus
+ */
 
 /**
- * POST /v0/agents — Launch a new cloud agent.
- *
- * @param {string} apiKey
- * @param {object} params
- * @param {string} params.promptText        — Task description
- * @param {Array}  [params.promptImages]     — Optional images [{data, dimension:{width,height}}]
- * @param {string} params.repository         — GitHub repo URL
- * @param {string} [params.ref]              — Git ref (default: main)
- * @param {string} [params.model]            — Model name (default: auto)
- * @param {boolean}[params.autoCreatePr]     — Auto-create PR on finish
- * @param {boolean}[params.openAsCursorGithubApp] — Open PR as Cursor GitHub App
- * @param {boolean}[params.skipReviewerRequest]   — Skip reviewer request
- * @param {string} [params.branchName]       — Custom branch name
- * @param {string} [params.webhookUrl]       — Webhook URL
- * @param {string} [params.webhookSecret]    — Webhook HMAC secret (≥32 chars)
- * @returns {Promise<Agent>}
+ * @typedef {object} Agent
+ * @property {string} id
+ * @property {string} [name]
+ * @property {AgentStatus} status
+ * @property {{repository: string, ref?: string}} source
+ * @property {AgentTarget} [target]
+ * @property {string} [summary]      — Set once the agent has finished a turn
+ * @property {string} createdAt      — ISO timestamp
+ */
+
+/**
+ * @typedef {object} AgentTarget
+ * @property {string} [branchName]
+ * @property {string} [url]          — Agent page on cursor.com
+ * @property {string} [prUrl]        — Set once a PR has been opened
+ * @property {boolean} [autoCreatePr]
+ * @property {boolean} [openAsCursorGithubApp]
+ * @property {boolean} [skipReviewerRequest]
+ */
+
+/**
+ * @typedef {object} ConversationMessage
+ * @property {string} id
+ * @property {"user_message"|"assistant_message"} type
+ * @property {string} text
+ */
+
+/**
+ * @typedef {object} PromptImage
+ * @property {string} data           — Base64-encoded PNG, JPEG or WebP
+ * @property {{width: number, height: number}} dimension
+ */
+
+/**
+ * @typedef {object} Repository
+ * @property {string} owner
+ * @property {string} name
+ * @property {string} repository     — GitHub URL
+ */
+
+/**
+ * @typedef {object} CallOptions
+ * @property {AbortSignal} [signal] — Cancels the call; it then rejects with an ABORTED error
+ */
+
+/**
+ * @typedef {object} RequestEvent
+ * @property {string} method
+ * @property {string} path
+ * @property {object} [body]        — Request body as sent; may hold webhook secrets and image data
+ * @property {string} [agentId]     — The agent in the path, or the new agent's ID for a launch
+ * @property {number} attempt       — 0 for the first try, 1 for the first retry, …
+ * @property {number} durationMs    — Time spent on this attempt, excluding rate-limit waits
+ * @property {number} [status]      — HTTP status, if a response arrived
+ * @property {Error}  [error]       — Set when the attempt failed
+ * @property {number} [retryInMs]   — Set when a failed attempt will be retried after this delay
+ */
+
+/**
+ * @typedef {object} WatchEvent
+ * @property {"change"|"error"|"done"|"timeout"} type
+ * @property {string} at                 — ISO timestamp of the observation
+ * @property {string} [id]               — change/error: the agent concerned
+ * @property {Agent}  [agent]            — change: the latest agent snapshot
+ * @property {string} [previousStatus]   — change: status before this change
+ * @property {string[]} [changed]        — change: which of status/summary/prUrl changed
+ * @property {string} [error]            — error: why the agent could not be fetched
+ * @property {string[]} [pending]        — timeout: agents not yet terminal
+ */
+
+// ─── Request Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Build the POST /v0/agents request body for launchAgent() without sending it.
+ * Throws an INVALID_ARGUMENT error for a webhook secret under 32 characters.
+ * @param {object} params — Same as launchAgent()
+ * @returns {object}
  */
-export async function launchAgent(apiKey, params) {
+export function buildLaunchBody(params) {
   const body = {
     prompt: {
       text: params.promptText,
@@ -155,217 +928,184 @@ export async function launchAgent(apiKey, params) {
     body.webhook = { url: params.webhookUrl };
     if (params.webhookSecret) {
       if (params.webhookSecret.length < 32) {
-        throw new Error("Webhook secret must be at least 32 characters");
+        throw codedError("INVALID_ARGUMENT", "Webhook secret must be at least 32 characters");
       }
       body.webhook.secret = params.webhookSecret;
     }
   }
 
-  return request(apiKey, "POST", "/v0/agents", body);
+  return body;
 }
 
 /**
- * GET /v0/agents — List agents with pagination.
- * @param {string} apiKey
- * @param {number} [limit=20]  — Max 100
- * @param {string} [cursor]    — Pagination cursor
- * @returns {Promise<{agents: Agent[], nextCursor?: string}>}
+ * Normalize a repository reference so "owner/repo", "github.com/owner/repo"
+ * and "https://github.com/owner/repo.git" compare equal.
+ * @param {string} repo
+ * @returns {string}
  */
-export async function listAgents(apiKey, limit = 20, cursor) {
-  const params = new URLSearchParams();
-  params.set("limit", String(Math.min(limit, 100)));
-  if (cursor) params.set("cursor", cursor);
-  return request(apiKey, "GET", `/v0/agents?${params}`);
+export function normalizeRepo(repo) {
+  return String(repo)
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^github\.com\//, "")
+    .replace(/\.git$/, "")
+    .replace(/\/+$/, "");
 }
 
 /**
- * GET /v0/agents/:id — Get agent details.
- * @param {string} apiKey
- * @param {string} id
- * @returns {Promise<Agent>}
+ * Check an agent against client-side filters. All given filters must match.
+ * @param {Agent} agent
+ * @param {AgentFilter} [filters]
+ * @returns {boolean}
  */
-export async function getAgent(apiKey, id) {
-  return request(apiKey, "GET", `/v0/agents/${encodeURIComponent(id)}`);
+export function matchesAgentFilter(agent, filters = {}) {
+  const { status, repo, since, before, nameContains, branchPrefix } = filters;
+  if (status) {
+    const wanted = (Array.isArray(status) ? status : [status]).map((s) => s.toUpperCase());
+    if (!wanted.includes(String(agent.status).toUpperCase())) return false;
+  }
+  if (repo && normalizeRepo(agent.source?.repository || "") !== normalizeRepo(repo)) {
+    return false;
+  }
+  if (since !== undefined) {
+    const created = Date.parse(agent.createdAt);
+    if (Number.isNaN(created) || created < new Date(since).getTime()) return false;
+  }
+  if (before !== undefined) {
+    const created = Date.parse(agent.createdAt);
+    if (Number.isNaN(created) || created >= new Date(before).getTime()) return false;
+  }
+  if (nameContains && !String(agent.name || "").toLowerCase().includes(nameContains.toLowerCase())) {
+    return false;
+  }
+  if (branchPrefix && !String(agent.target?.branchName || "").startsWith(branchPrefix)) {
+    return false;
+  }
+  return true;
 }
 
 /**
- * GET /v0/agents/:id/conversation — Get conversation history.
- * @param {string} apiKey
- * @param {string} id
- * @returns {Promise<{id: string, messages: ConversationMessage[]}>}
+ * @typedef {object} AgentFilter
+ * @property {string|string[]} [status]    — One or more statuses (case-insensitive)
+ * @property {string} [repo]               — Repository URL or "owner/repo"
+ * @property {string|number|Date} [since]  — Only agents created at or after this time
+ * @property {string|number|Date} [before] — Only agents created before this time
+ * @property {string} [nameContains]       — Case-insensitive substring of the agent name
+ * @property {string} [branchPrefix]       — Prefix of the agent's branch name
  */
-export async function getAgentConversation(apiKey, id) {
-  return request(
-    apiKey,
-    "GET",
-    `/v0/agents/${encodeURIComponent(id)}/conversation`
-  );
-}
 
-/**
- * POST /v0/agents/:id/followup — Send follow-up instruction.
- * @param {string} apiKey
- * @param {string} id
- * @param {string} promptText
- * @param {Array}  [promptImages]
- * @returns {Promise<{id: string}>}
- */
-export async function addFollowUp(apiKey, id, promptText, promptImages) {
-  const body = { prompt: { text: promptText } };
-  if (promptImages?.length) {
-    body.prompt.images = promptImages;
-  }
-  return request(
-    apiKey,
-    "POST",
-    `/v0/agents/${encodeURIComponent(id)}/followup`,
-    body
-  );
-}
+const TERMINAL_STATUSES = new Set(["FINISHED", "STOPPED", "FAILED"]);
 
 /**
- * POST /v0/agents/:id/stop — Stop a running agent.
- * @param {string} apiKey
- * @param {string} id
- * @returns {Promise<{id: string}>}
+ * Whether an agent status is final (FINISHED, STOPPED or FAILED).
+ * @param {string} status
+ * @returns {boolean}
  */
-export async function stopAgent(apiKey, id) {
-  return request(
-    apiKey,
-    "POST",
-    `/v0/agents/${encodeURIComponent(id)}/stop`
-  );
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
 }
 
 /**
- * DELETE /v0/agents/:id — Delete an agent permanently.
- * @param {string} apiKey
- * @param {string} id
- * @returns {Promise<{id: string}>}
+ * Resolve after the given number of milliseconds.
+ * @param {number} ms
+ * @param {AbortSignal} [signal] — Rejects with an ABORTED error as soon as it fires
+ * @returns {Promise<void>}
  */
-export async function deleteAgent(apiKey, id) {
-  return request(
-    apiKey,
-    "DELETE",
-    `/v0/agents/${encodeURIComponent(id)}`
-  );
+export function sleep(ms, signal) {
+  if (!signal) return new Promise((resolve) => setTimeout(resolve, ms));
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
-// ─── Utility ──────────────────────────────────────────────────────────────────
+// ─── Function API ─────────────────────────────────────────────────────────────
+//
+// Compatibility wrappers: each call uses a CursorClient for `apiKey` with the
+// configure() defaults. See the CursorClient method of the same name.
 
-/**
- * GET /v0/me — API key info.
- * @param {string} apiKey
- * @returns {Promise<{apiKeyName: string, createdAt: string, userEmail: string}>}
- */
-export async function getApiKeyInfo(apiKey) {
-  return request(apiKey, "GET", "/v0/me");
+function defaultClient(apiKey) {
+  return new CursorClient({ apiKey });
 }
 
-/**
- * GET /v0/models — List available models.
- * @param {string} apiKey
- * @returns {Promise<{models: string[]}>}
- */
-export async function listModels(apiKey) {
-  return request(apiKey, "GET", "/v0/models");
+/** @see CursorClient#launchAgent */
+export async function launchAgent(apiKey, params, options) {
+  return defaultClient(apiKey).launchAgent(params, options);
 }
 
-/**
- * GET /v0/repositories — List connected repositories.
- * ⚠️  Strict rate limit: 1 req/min, 30 req/hour.
- * @param {string} apiKey
- * @returns {Promise<{repositories: Repository[]}>}
- */
-export async function listRepositories(apiKey) {
-  return request(apiKey, "GET", "/v0/repositories");
+/** @see CursorClient#listAgents */
+export async function listAgents(apiKey, limit, cursor, options) {
+  return defaultClient(apiKey).listAgents(limit, cursor, options);
 }
 
-// ─── Polling ──────────────────────────────────────────────────────────────────
-
-const TERMINAL_STATUSES = new Set(["FINISHED", "STOPPED", "FAILED"]);
+/** @see CursorClient#iterateAgents */
+export async function* iterateAgents(apiKey, options) {
+  yield* defaultClient(apiKey).iterateAgents(options);
+}
 
-/**
- * Poll a single agent until it reaches a terminal state.
- * @param {string} apiKey
- * @param {string} id
- * @param {number} [intervalMs=30000]
- * @param {number} [timeoutMs=1800000]  — 30 min default
- * @returns {Promise<Agent>}
- */
-export async function pollAgent(apiKey, id, intervalMs = 30000, timeoutMs = 1800000) {
-  const deadline = Date.now() + timeoutMs;
+/** @see CursorClient#getAgent */
+export async function getAgent(apiKey, id, options) {
+  return defaultClient(apiKey).getAgent(id, options);
+}
 
-  while (Date.now() < deadline) {
-    const agent = await getAgent(apiKey, id);
-    if (TERMINAL_STATUSES.has(agent.status)) {
-      return agent;
-    }
-    await sleep(intervalMs);
-  }
+/** @see CursorClient#getAgentConversation */
+export async function getAgentConversation(apiKey, id, options) {
+  return defaultClient(apiKey).getAgentConversation(id, options);
+}
 
-  // Final check
-  const agent = await getAgent(apiKey, id);
-  if (TERMINAL_STATUSES.has(agent.status)) {
-    return agent;
-  }
-  throw new Error(
-    `Agent ${id} did not reach terminal state within ${timeoutMs / 1000}s. Last status: ${agent.status}`
-  );
+/** @see CursorClient#addFollowUp */
+export async function addFollowUp(apiKey, id, promptText, promptImages, options) {
+  return defaultClient(apiKey).addFollowUp(id, promptText, promptImages, options);
 }
 
-/**
- * Poll multiple agents until all reach terminal states.
- * @param {string} apiKey
- * @param {string[]} ids
- * @param {number} [intervalMs=30000]
- * @param {number} [timeoutMs=1800000]
- * @returns {Promise<Agent[]>}
- */
-export async function pollAgents(apiKey, ids, intervalMs = 30000, timeoutMs = 1800000) {
-  const deadline = Date.now() + timeoutMs;
-  const results = new Map();
+/** @see CursorClient#stopAgent */
+export async function stopAgent(apiKey, id, options) {
+  return defaultClient(apiKey).stopAgent(id, options);
+}
 
-  while (Date.now() < deadline) {
-    const pending = ids.filter((id) => !results.has(id));
-    if (pending.length === 0) break;
+/** @see CursorClient#deleteAgent */
+export async function deleteAgent(apiKey, id, options) {
+  return defaultClient(apiKey).deleteAgent(id, options);
+}
 
-    // Check all pending in parallel
-    const checks = await Promise.allSettled(
-      pending.map((id) => getAgent(apiKey, id))
-    );
+/** @see CursorClient#getApiKeyInfo */
+export async function getApiKeyInfo(apiKey, options) {
+  return defaultClient(apiKey).getApiKeyInfo(options);
+}
 
-    for (let i = 0; i < pending.length; i++) {
-      const result = checks[i];
-      if (result.status === "fulfilled") {
-        const agent = result.value;
-        if (TERMINAL_STATUSES.has(agent.status)) {
-          results.set(pending[i], agent);
-        }
-      }
-      // On rejection, we'll retry next iteration
-    }
+/** @see CursorClient#listModels */
+export async function listModels(apiKey, options) {
+  return defaultClient(apiKey).listModels(options);
+}
 
-    if (results.size === ids.length) break;
-    await sleep(intervalMs);
-  }
+/** @see CursorClient#listRepositories */
+export async function listRepositories(apiKey, options) {
+  return defaultClient(apiKey).listRepositories(options);
+}
 
-  // Final sweep for any still-pending
-  const stillPending = ids.filter((id) => !results.has(id));
-  if (stillPending.length > 0) {
-    const finalChecks = await Promise.allSettled(
-      stillPending.map((id) => getAgent(apiKey, id))
-    );
-    for (let i = 0; i < stillPending.length; i++) {
-      if (finalChecks[i].status === "fulfilled") {
-        results.set(stillPending[i], finalChecks[i].value);
-      }
-    }
-  }
+/** @see CursorClient#pollAgent */
+export async function pollAgent(apiKey, id, intervalMs, timeoutMs, options) {
+  return defaultClient(apiKey).pollAgent(id, intervalMs, timeoutMs, options);
+}
 
-  return ids.map((id) => results.get(id) || { id, status: "UNKNOWN" });
+/** @see CursorClient#pollAgents */
+export async function pollAgents(apiKey, ids, intervalMs, timeoutMs, options) {
+  return defaultClient(apiKey).pollAgents(ids, intervalMs, timeoutMs, options);
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/** @see CursorClient#watchAgents */
+export async function* watchAgents(apiKey, ids, intervalMs, timeoutMs, options) {
+  yield* defaultClient(apiKey).watchAgents(ids, intervalMs, timeoutMs, options);
 }
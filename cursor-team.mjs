@@ -11,26 +11,57 @@
  *
  * Commands:
  *   launch          Launch a single Cursor agent
- *   team            Launch multiple agents in parallel
+ *   team            Launch multiple agents in parallel (or as a dependency graph)
+ *   pipeline        Run agents sequentially, each building on the previous branch
  *   status          Get status of a single agent
  *   team-status     Get status of multiple agents
+ *   report          Summarize results, PRs and durations (JSON, Markdown or JUnit XML)
  *   conversation    Get conversation history for an agent
  *   followup        Send a follow-up instruction to an agent
+ *   refine          Follow up until the agent's result meets acceptance criteria
  *   stop            Stop a running agent
  *   delete          Delete an agent
  *   list            List recent agents
+ *   cleanup         Stop/delete stale agents in bulk (alias: prune; dry run by default)
  *   models          List available models
  *   repos           List connected repositories
  *   poll            Poll agents until completion
+ *   watch           Stream status changes as NDJSON (or a live table)
  *   whoami          Show API key info
+ *   runs            List saved runs, or show one with --run
+ *   audit           Query the local audit log of API requests and commands
+ *   serve-webhooks  Receive signed webhook events and record them locally
+ *   mock-server     Run an offline mock of the Cursor API for tests
+ *
+ * Global options:
+ *   --retries N     Max retries for transient API failures (default: 3)
+ *   --base-url URL  API origin (default: CURSOR_API_BASE_URL or https://api.cursor.com)
+ *   --request-timeout SEC  Abort a single API request after SEC seconds (default: 60; 0 disables)
+ *   --validate-responses  Check API response shapes; a mismatch fails with INVALID_RESPONSE
+ *   --profile NAME  Config profile for the API key and launch defaults (see config.mjs)
+ *
+ * Waiting commands (poll, watch, team with dependsOn, pipeline) print the
+ * results collected so far on Ctrl-C/SIGTERM and exit 130; add
+ * --stop-on-interrupt to also stop the agents that are still running.
  *
  * Environment:
- *   CURSOR_API_KEY  Required. Your Cursor API key.
+ *   CURSOR_API_KEY    Your Cursor API key (or set "apiKey" in a config file)
+ *   CURSOR_TEAM_PROFILE  Config profile when --profile is not given
+ *   CURSOR_TEAM_HOME  Local state directory (default: ~/.cursor-team)
+ *   CURSOR_TEAM_AUDIT Set to 0 to stop writing the audit log
+ *   CURSOR_WEBHOOK_SECRET  Secret for serve-webhooks (instead of --secret)
+ *   CURSOR_API_BASE_URL    API origin, e.g. a mock-server URL
  */
 
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
 import {
   launchAgent,
+  buildLaunchBody,
   listAgents,
+  iterateAgents,
+  matchesAgentFilter,
+  normalizeRepo,
   getAgent,
   getAgentConversation,
   addFollowUp,
@@ -40,36 +71,128 @@ import {
   listModels,
   listRepositories,
   pollAgent,
-  pollAgents,
+  watchAgents,
+  isTerminalStatus,
+  sleep,
+  configure,
+  RateLimiter,
 } from "./cursor-api.mjs";
+import {
+  appendAuditEntry,
+  appendRefinement,
+  appendWebhookEvent,
+  auditLogPath,
+  defaultRunName,
+  listRuns,
+  loadRun,
+  readAuditLog,
+  readCache,
+  readRefinements,
+  readWebhookEvents,
+  recordAgentStatus,
+  runExists,
+  saveRun,
+  stateDir,
+  webhookEventsOffset,
+  writeCache,
+} from "./state.mjs";
+import { createWebhookServer } from "./webhook-server.mjs";
+import { createMockServer } from "./mock-server.mjs";
+import { loadTeamManifest, resolveTasks } from "./manifest.mjs";
+import { TRANSCRIPT_FORMATS, filterMessages, renderTranscript } from "./transcript.mjs";
+import { buildFollowUpPrompt, checkCriteria, parseCriterion, runEvaluator } from "./refine.mjs";
+import { checkImageCount, loadImages } from "./images.mjs";
+import { REPORT_FORMATS, buildReport, renderReport } from "./report.mjs";
+import { PROJECT_CONFIG_FILE, resolveConfig } from "./config.mjs";
+import { codedError, exitCodeFor, toErrorObject } from "./errors.mjs";
+
+// Shared with every other invocation through ~/.cursor-team/rate-limits.json
+const rateLimiter = new RateLimiter({
+  statePath: join(stateDir(), "rate-limits.json"),
+});
+configure({ rateLimiter });
+
+// API key and launch defaults from env and config files, resolved in main()
+// for every command outside CONFIG_FREE_COMMANDS
+let config = { sources: {}, warnings: [] };
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 function getApiKey() {
-  const key = process.env.CURSOR_API_KEY;
-  if (!key) {
-    fatal("CURSOR_API_KEY environment variable is not set.\nGet your key from: Cursor Dashboard → Settings → API Keys");
+  if (!config.apiKey) {
+    fatal(
+      `No API key found. Set CURSOR_API_KEY, or add "apiKey" to ${PROJECT_CONFIG_FILE}, ` +
+        "~/.cursor-team/config.json or ~/.openclaw/openclaw.json.",
+      "AUTH_FAILED"
+    );
   }
-  return key;
+  return config.apiKey;
 }
 
-function fatal(msg) {
-  console.error(JSON.stringify({ error: msg }));
-  process.exit(1);
+/**
+ * Print an error object (see errors.mjs) to stderr and exit with its code.
+ * @param {string|Error} err          — A message, or a thrown error
+ * @param {string} [code="INVALID_ARGUMENT"] — Error code when `err` is a message
+ */
+function fatal(err, code = "INVALID_ARGUMENT") {
+  const error = toErrorObject(typeof err === "string" ? codedError(code, err) : err);
+  console.error(JSON.stringify({ error }));
+  process.exit(exitCodeFor(error.code));
 }
 
 function output(data) {
   console.log(JSON.stringify(data, null, 2));
 }
 
+/**
+ * Print a command result. If the overall outcome is an error (e.g. some agents
+ * failed), attach it as `error` and set the matching exit code; the full
+ * result still goes to stdout so nothing is lost.
+ * @param {object} data
+ * @param {Error|null} err
+ */
+function outputOutcome(data, err) {
+  if (!err) {
+    output(data);
+    return;
+  }
+  const error = toErrorObject(err);
+  output({ ...data, error });
+  process.exitCode = exitCodeFor(error.code);
+}
+
+/**
+ * PARTIAL_FAILURE error when any per-agent result failed, else null.
+ * @param {Array<{id?: string, taskName?: string, error?: object}>} results
+ * @param {string} what — e.g. "launches"
+ * @returns {Error|null}
+ */
+function partialFailure(results, what) {
+  const failed = results.filter((r) => r.error);
+  if (failed.length === 0) return null;
+  return codedError(
+    "PARTIAL_FAILURE",
+    `${failed.length} of ${results.length} ${what} failed`,
+    { failed: failed.map((r) => r.id || r.taskName) }
+  );
+}
+
+// Options that may be given more than once; parseArgs collects them into arrays
+const REPEATABLE_OPTIONS = new Set(["var", "require", "forbid", "image"]);
+
 /**
  * Parse CLI arguments into a flat key-value map.
  * Supports: --key value, --key=value, --flag (boolean true)
+ * Options in REPEATABLE_OPTIONS are collected into arrays.
  * @param {string[]} args
- * @returns {Record<string, string>}
+ * @returns {Record<string, string|string[]>}
  */
 function parseArgs(args) {
   const result = {};
+  const set = (key, value) => {
+    if (REPEATABLE_OPTIONS.has(key)) (result[key] ||= []).push(value);
+    else result[key] = value;
+  };
   let i = 0;
   while (i < args.length) {
     const arg = args[i];
@@ -77,14 +200,14 @@ function parseArgs(args) {
       const eqIdx = arg.indexOf("=");
       if (eqIdx !== -1) {
         // --key=value
-        result[arg.slice(2, eqIdx)] = arg.slice(eqIdx + 1);
+        set(arg.slice(2, eqIdx), arg.slice(eqIdx + 1));
       } else if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
         // --key value
-        result[arg.slice(2)] = args[i + 1];
+        set(arg.slice(2), args[i + 1]);
         i++;
       } else {
         // --flag (boolean)
-        result[arg.slice(2)] = "true";
+        set(arg.slice(2), "true");
       }
     }
     i++;
@@ -92,6 +215,24 @@ function parseArgs(args) {
   return result;
 }
 
+/**
+ * Parse repeated `--var name=value` flags into a map.
+ * @param {string[]} [vars]
+ * @returns {Record<string, string>}
+ */
+function parseVars(vars = []) {
+  const result = {};
+  for (const entry of vars) {
+    const eqIdx = entry.indexOf("=");
+    const name = entry.slice(0, eqIdx);
+    if (eqIdx === -1 || !/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name)) {
+      fatal(`Invalid --var "${entry}". Use --var name=value.`);
+    }
+    result[name] = entry.slice(eqIdx + 1);
+  }
+  return result;
+}
+
 function parseBool(val) {
   if (val === undefined || val === null) return undefined;
   if (typeof val === "boolean") return val;
@@ -105,136 +246,148 @@ function requireArg(opts, name) {
   return opts[name];
 }
 
-// ─── Commands ─────────────────────────────────────────────────────────────────
-
-async function cmdLaunch(opts) {
-  const apiKey = getApiKey();
-  const repo = requireArg(opts, "repo");
-  const promptText = requireArg(opts, "prompt");
-
-  const result = await launchAgent(apiKey, {
-    promptText,
-    repository: repo,
-    ref: opts.ref || "main",
-    model: opts.model,
-    autoCreatePr: parseBool(opts["auto-pr"]),
-    openAsCursorGithubApp: parseBool(opts["cursor-github-app"]),
-    skipReviewerRequest: parseBool(opts["skip-reviewer"]),
-    branchName: opts.branch,
-    webhookUrl: opts["webhook-url"],
-    webhookSecret: opts["webhook-secret"],
-  });
-
-  output({
-    success: true,
-    agent: {
-      id: result.id,
-      name: result.name,
-      status: result.status,
-      branch: result.target?.branchName,
-      url: result.target?.url,
-      createdAt: result.createdAt,
-    },
-  });
+/**
+ * Pick the name for a new run: --run if given (must not exist yet), else a
+ * generated one.
+ * @param {Record<string, string>} opts
+ * @param {string} prefix
+ * @returns {Promise<string>}
+ */
+async function newRunName(opts, prefix) {
+  const name = opts.run || defaultRunName(prefix);
+  if (await runExists(name)) {
+    fatal(`Run "${name}" already exists. Choose a different --run name.`);
+  }
+  auditContext.run = name;
+  return name;
 }
 
-async function cmdTeam(opts) {
-  const apiKey = getApiKey();
-  const repo = requireArg(opts, "repo");
-  const tasksRaw = requireArg(opts, "tasks");
-
-  let tasks;
+/**
+ * Save a run without letting a state-store failure hide the launch output.
+ * @param {object} run
+ * @returns {Promise<string|undefined>} Warning message if the save failed
+ */
+async function recordRun(run) {
   try {
-    tasks = JSON.parse(tasksRaw);
-  } catch (e) {
-    fatal(`Invalid JSON for --tasks: ${e.message}`);
-  }
-
-  if (!Array.isArray(tasks) || tasks.length === 0) {
-    fatal("--tasks must be a non-empty JSON array of {name, prompt} objects");
+    await saveRun(run);
+    return undefined;
+  } catch (err) {
+    return `Could not save run "${run.name}": ${err.message}`;
   }
+}
 
-  // Validate all tasks before launching any
-  for (const task of tasks) {
-    if (!task.prompt) {
-      fatal(`Task "${task.name || "unnamed"}" is missing a "prompt" field`);
+/**
+ * Record when agents' final statuses were first seen on the saved runs that
+ * contain them, so a later `report` knows when each agent finished.
+ * @param {Array<{id: string, status: string, at?: string, prUrl?: string, summary?: string}>} finishes
+ * @returns {Promise<string|undefined>} Warning message if a run could not be updated
+ */
+async function recordFinishes(finishes) {
+  try {
+    for (const { id, at, ...update } of finishes) {
+      if (!isTerminalStatus(update.status) || !at) continue;
+      await recordAgentStatus(id, { ...update, at });
     }
+    return undefined;
+  } catch (err) {
+    return `Could not record final statuses: ${err.message}`;
   }
+}
 
-  const ref = opts.ref || "main";
-  const model = opts.model;
-  const autoCreatePr = parseBool(opts["auto-pr"]);
-  const webhookUrl = opts["webhook-url"];
-  const webhookSecret = opts["webhook-secret"];
-
-  // Launch all agents in parallel
-  const launches = tasks.map((task) =>
-    launchAgent(apiKey, {
-      promptText: task.prompt,
-      repository: repo,
-      ref,
-      model: task.model || model,
-      autoCreatePr,
-      branchName: task.branch,
-      webhookUrl,
-      webhookSecret,
-    })
-      .then((agent) => ({
-        taskName: task.name || "unnamed",
-        success: true,
-        id: agent.id,
-        name: agent.name,
-        status: agent.status,
-        branch: agent.target?.branchName,
-        url: agent.target?.url,
-      }))
-      .catch((err) => ({
-        taskName: task.name || "unnamed",
-        success: false,
-        error: err.message,
-      }))
-  );
-
-  const results = await Promise.all(launches);
-
-  const successCount = results.filter((r) => r.success).length;
-  const failCount = results.filter((r) => !r.success).length;
+/**
+ * Copy of a request body that is safe to print or log: the webhook secret
+ * and image data are replaced by their sizes.
+ * @param {object} [body]
+ * @returns {object|undefined}
+ */
+function redactBody(body) {
+  if (!body) return body;
+  const redacted = structuredClone(body);
+  if (redacted.webhook?.secret) {
+    redacted.webhook.secret = `<redacted, ${redacted.webhook.secret.length} chars>`;
+  }
+  if (redacted.prompt?.images) {
+    redacted.prompt.images = redacted.prompt.images.map(({ data, dimension }) => ({
+      data: `<base64, ${Buffer.byteLength(data, "base64")} bytes>`,
+      dimension,
+    }));
+  }
+  return redacted;
+}
 
-  output({
-    summary: {
-      total: tasks.length,
-      launched: successCount,
-      failed: failCount,
-    },
-    agents: results,
-    // Convenience: array of just the IDs for use with poll/team-status
-    ids: results.filter((r) => r.success).map((r) => r.id),
+/**
+ * Convert CLI results into the agent entries stored on a run. Final statuses
+ * already recorded on the saved entries (by recordFinishes or serve-webhooks)
+ * are carried over, so rewriting the run does not erase them.
+ * @param {object[]} results — Objects with taskName/stage, id, branch, url, error
+ * @param {Map<string, string>} launchedAt — Agent ID → ISO timestamp
+ * @param {object[]} [saved] — The run's agent entries as currently saved
+ * @returns {object[]}
+ */
+function runAgents(results, launchedAt, saved = []) {
+  const savedById = new Map(saved.filter((a) => a.id).map((a) => [a.id, a]));
+  return results.map((r) => {
+    const { status, statusAt, prUrl, summary } = (r.id && savedById.get(r.id)) || {};
+    return {
+      taskName: r.taskName || r.stage,
+      repo: r.repo,
+      ref: r.ref,
+      id: r.id,
+      branch: r.branch,
+      url: r.url,
+      launchedAt: r.id ? launchedAt.get(r.id) : undefined,
+      error: r.error,
+      status,
+      statusAt,
+      prUrl,
+      summary,
+    };
   });
 }
 
-async function cmdStatus(opts) {
-  const apiKey = getApiKey();
-  const id = requireArg(opts, "id");
-  const agent = await getAgent(apiKey, id);
-  output({
-    id: agent.id,
-    name: agent.name,
-    status: agent.status,
-    branch: agent.target?.branchName,
-    url: agent.target?.url,
-    prUrl: agent.target?.prUrl,
-    summary: agent.summary,
-    createdAt: agent.createdAt,
-  });
+/**
+ * The agent entries of a saved run, or none if it cannot be read.
+ * @param {string} name
+ * @returns {Promise<object[]>}
+ */
+async function savedAgents(name) {
+  try {
+    return (await loadRun(name)).agents;
+  } catch {
+    return [];
+  }
 }
 
-async function cmdTeamStatus(opts) {
-  const apiKey = getApiKey();
-  const idsRaw = requireArg(opts, "ids");
+/**
+ * Resolve the agent IDs a multi-agent command targets.
+ * Accepts --run <name> (optionally narrowed by --task) or --ids '<json array>'.
+ * @param {Record<string, string>} opts
+ * @returns {Promise<string[]>}
+ */
+async function resolveIds(opts) {
+  if (opts.run) {
+    const run = await loadRun(opts.run);
+    const agents = run.agents.filter(
+      (a) => a.id && (!opts.task || a.taskName === opts.task)
+    );
+    if (agents.length === 0) {
+      fatal(
+        opts.task
+          ? `Run "${opts.run}" has no launched agent for task "${opts.task}"`
+          : `Run "${opts.run}" has no launched agents`,
+        "NOT_FOUND"
+      );
+    }
+    return agents.map((a) => a.id);
+  }
+
+  if (!opts.ids) {
+    fatal("Missing required argument: --ids (or --run)");
+  }
 
   let ids;
   try {
-    ids = JSON.parse(idsRaw);
+    ids = JSON.parse(opts.ids);
   } catch (e) {
     fatal(`Invalid JSON for --ids: ${e.message}`);
   }
@@ -242,156 +395,2323 @@ async function cmdTeamStatus(opts) {
   if (!Array.isArray(ids) || ids.length === 0) {
     fatal("--ids must be a non-empty JSON array of agent ID strings");
   }
+  return ids;
+}
 
-  const checks = await Promise.allSettled(
-    ids.map((id) => getAgent(apiKey, id))
-  );
+/**
+ * Resolve the agents a single-agent command targets: --id, or every agent in
+ * --run (optionally narrowed by --task).
+ * @param {Record<string, string>} opts
+ * @returns {Promise<string[]>}
+ */
+async function resolveTargets(opts) {
+  if (opts.id) return [opts.id];
+  if (opts.run) return resolveIds(opts);
+  fatal("Missing required argument: --id (or --run)");
+}
 
-  const agents = ids.map((id, i) => {
-    const result = checks[i];
-    if (result.status === "fulfilled") {
-      const a = result.value;
-      return {
-        id: a.id,
-        name: a.name,
-        status: a.status,
-        branch: a.target?.branchName,
-        url: a.target?.url,
-        prUrl: a.target?.prUrl,
-        summary: a.summary,
-      };
-    } else {
-      return { id, status: "ERROR", error: result.reason?.message };
-    }
-  });
+// ─── Audit Log ────────────────────────────────────────────────────────────────
 
-  const statusCounts = {};
-  for (const a of agents) {
-    statusCounts[a.status] = (statusCounts[a.status] || 0) + 1;
+// Options whose values never reach the audit log
+const SECRET_OPTIONS = new Set(["secret", "webhook-secret", "api-key"]);
+
+// Stamped on every audit entry: main() sets the command, and the run is set
+// from --run or by newRunName() once a new run is named
+const auditContext = { command: undefined, run: undefined };
+let auditFailed = false;
+
+/**
+ * Append an entry to the audit log (state.mjs). CURSOR_TEAM_AUDIT=0 turns
+ * logging off. A log that cannot be written is reported once on stderr and
+ * never fails the command.
+ * @param {object} entry — `type` ("command" | "exit" | "request" | "decision") and its fields
+ */
+function audit(entry) {
+  if (["0", "false", "off"].includes(process.env.CURSOR_TEAM_AUDIT)) return;
+  try {
+    appendAuditEntry({ at: new Date().toISOString(), type: entry.type, ...auditContext, pid: process.pid, ...entry });
+  } catch (err) {
+    if (auditFailed) return;
+    auditFailed = true;
+    console.error(JSON.stringify({ warning: `Could not write audit log: ${err.message}` }));
   }
+}
 
-  output({
-    summary: statusCounts,
-    agents,
+/**
+ * Log every API request attempt, via the module-wide onRequest hook.
+ * @param {import("./cursor-api.mjs").RequestEvent} event
+ */
+function auditRequest(event) {
+  audit({
+    type: "request",
+    method: event.method,
+    path: event.path,
+    agentId: event.agentId,
+    attempt: event.attempt,
+    status: event.status,
+    durationMs: event.durationMs,
+    retryInMs: event.retryInMs,
+    error: event.error && { code: event.error.code, message: event.error.message },
+    body: redactBody(event.body),
   });
 }
 
-async function cmdConversation(opts) {
-  const apiKey = getApiKey();
-  const id = requireArg(opts, "id");
-  const conv = await getAgentConversation(apiKey, id);
-  output(conv);
+/**
+ * CLI options as logged: secrets replaced.
+ * @param {Record<string, string|string[]>} opts
+ * @returns {Record<string, string|string[]>}
+ */
+function auditOptions(opts) {
+  return Object.fromEntries(
+    Object.entries(opts).map(([key, value]) => [key, SECRET_OPTIONS.has(key) ? "<redacted>" : value])
+  );
 }
 
-async function cmdFollowup(opts) {
-  const apiKey = getApiKey();
-  const id = requireArg(opts, "id");
-  const promptText = requireArg(opts, "prompt");
-  const result = await addFollowUp(apiKey, id, promptText);
-  output({ success: true, id: result.id });
-}
+// ─── Commands ─────────────────────────────────────────────────────────────────
 
-async function cmdStop(opts) {
-  const apiKey = getApiKey();
-  const id = requireArg(opts, "id");
-  const result = await stopAgent(apiKey, id);
-  output({ success: true, id: result.id });
+/**
+ * Repository list for access checks: the cached copy if there is one, else a
+ * fresh fetch when the 1/min window is open. Null if neither is available.
+ * @param {string} apiKey
+ * @returns {Promise<{cachedAt: string, data: {repositories: object[]}} | null>}
+ */
+async function cachedRepositories(apiKey) {
+  const cache = await readCache("repositories");
+  if (cache) return cache;
+  if ((await rateLimiter.waitTime("repositories")) > 0) return null;
+  return writeCache("repositories", await listRepositories(apiKey));
 }
 
-async function cmdDelete(opts) {
-  const apiKey = getApiKey();
-  const id = requireArg(opts, "id");
-  const result = await deleteAgent(apiKey, id);
-  output({ success: true, id: result.id });
-}
+/**
+ * Find the repositories the Cursor GitHub App cannot reach. Uses the cached
+ * repo list; if that is missing one of `repos` and the 1/min window is open,
+ * the list is refetched once in case the app was installed since.
+ * @param {string} apiKey
+ * @param {string[]} repos
+ * @returns {Promise<{listedAt: string, missing: string[]} | null>} Null if no list is available
+ */
+async function checkRepositoryAccess(apiKey, repos) {
+  const missingFrom = (list) => {
+    const connected = new Set(
+      (list.data.repositories || []).flatMap((r) => [
+        normalizeRepo(r.repository || ""),
+        normalizeRepo(`${r.owner}/${r.name}`),
+      ])
+    );
+    return repos.filter((repo) => !connected.has(normalizeRepo(repo)));
+  };
 
-async function cmdList(opts) {
-  const apiKey = getApiKey();
-  const limit = parseInt(opts.limit || "20", 10);
-  const cursor = opts.cursor;
-  const result = await listAgents(apiKey, limit, cursor);
-  output(result);
+  let list = await cachedRepositories(apiKey);
+  if (!list) return null;
+  let missing = missingFrom(list);
+  if (missing.length > 0 && (await rateLimiter.waitTime("repositories")) === 0) {
+    list = await writeCache("repositories", await listRepositories(apiKey));
+    missing = missingFrom(list);
+  }
+  return { listedAt: list.cachedAt, missing };
 }
 
-async function cmdModels() {
-  const apiKey = getApiKey();
-  const result = await listModels(apiKey);
-  output(result);
+/**
+ * Group tasks into dependency waves: a wave's tasks can run at the same time,
+ * and each wave waits for the one before it.
+ * @param {Array<{taskName: string, dependsOn: string[]}>} requests
+ * @returns {string[][]}
+ */
+function launchWaves(requests) {
+  const byName = new Map(requests.map((r) => [r.taskName, r]));
+  const depth = new Map();
+  const depthOf = (r) => {
+    if (!depth.has(r.taskName)) {
+      const deps = r.dependsOn.map((dep) => depthOf(byName.get(dep)));
+      depth.set(r.taskName, deps.length > 0 ? 1 + Math.max(...deps) : 0);
+    }
+    return depth.get(r.taskName);
+  };
+  const waves = [];
+  for (const r of requests) (waves[depthOf(r)] ||= []).push(r.taskName);
+  return waves;
 }
 
-async function cmdRepos() {
-  const apiKey = getApiKey();
-  const result = await listRepositories(apiKey);
-  output(result);
-}
+/**
+ * Print what a launch would send, and any problems with it, without launching.
+ * Problems that would make a launch fail are errors (exit code 4); the rest
+ * are warnings.
+ * @param {string} apiKey
+ * @param {string} command                — "launch" | "team"
+ * @param {string|undefined} runName      — --run, if given
+ * @param {Array<{taskName: string, dependsOn: string[], params: object}>} requests
+ * @param {number} [maxConcurrent]        — --max-concurrent, if given
+ */
+async function planLaunch(apiKey, command, runName, requests, maxConcurrent) {
+  const issues = [];
+  const issue = (level, task, field, message) => issues.push({ level, task, field, message });
 
-async function cmdPoll(opts) {
-  const idsRaw = requireArg(opts, "ids");
-  const apiKey = getApiKey();
+  if (runName && (await runExists(runName))) {
+    issue("error", undefined, "run", `Run "${runName}" already exists`);
+  }
 
-  let ids;
+  // The webhook secret is shared by every task, so report a bad one once and
+  // still build the rest of each body
+  let secretError;
+  const planned = requests.map((r) => {
+    let body;
+    try {
+      body = buildLaunchBody(r.params);
+    } catch (err) {
+      secretError = err.message;
+      body = buildLaunchBody({ ...r.params, webhookSecret: undefined });
+    }
+    return { taskName: r.taskName, dependsOn: r.dependsOn, body: redactBody(body) };
+  });
+  if (secretError) issue("error", undefined, "webhookSecret", secretError);
+
+  // Models: "auto" (or no model) is always accepted
+  const models = [...new Set(requests.map((r) => r.params.model).filter((m) => m && m !== "auto"))];
+  const checks = { models: { requested: models }, repositories: {}, branches: {} };
+  if (models.length > 0) {
+    try {
+      const available = (await listModels(apiKey)).models || [];
+      checks.models.available = available;
+      for (const r of requests) {
+        if (models.includes(r.params.model) && !available.includes(r.params.model)) {
+          issue("error", r.taskName, "model", `Unknown model "${r.params.model}"`);
+        }
+      }
+    } catch (err) {
+      issue("warning", undefined, "model", `Could not verify models: ${err.message}`);
+    }
+  }
+
+  // Repository access, from the cached repo list when possible (1/min limit)
+  const repos = [...new Set(requests.map((r) => r.params.repository))];
+  checks.repositories.requested = repos;
   try {
-    ids = JSON.parse(idsRaw);
-  } catch (e) {
-    fatal(`Invalid JSON for --ids: ${e.message}`);
+    const access = await checkRepositoryAccess(apiKey, repos);
+    if (!access) {
+      issue("warning", undefined, "repo", "Repository access not verified: no cached repo list and the rate limit window is closed. Run `repos` first.");
+    } else {
+      checks.repositories.listedAt = access.listedAt;
+      for (const repo of access.missing) {
+        const users = requests.filter((r) => r.params.repository === repo).map((r) => r.taskName);
+        const usedBy = repos.length > 1 ? ` (used by ${users.join(", ")})` : "";
+        issue("error", undefined, "repo", `Repository ${repo}${usedBy} is not in the connected repositories (as of ${access.listedAt}); install the Cursor GitHub App or run \`repos --refresh\``);
+      }
+    }
+  } catch (err) {
+    issue("warning", undefined, "repo", `Could not verify repository access: ${err.message}`);
   }
 
-  if (!Array.isArray(ids) || ids.length === 0) {
-    fatal("--ids must be a non-empty JSON array of agent ID strings");
+  // Branch names must be unique per repo within the plan, and ideally unused
+  // there. Keyed by repo and branch, so one pass over the agents checks them all.
+  const branchKey = (repo, branch) => `${normalizeRepo(repo)}#${branch}`;
+  const branches = new Map();
+  for (const p of planned) {
+    const branch = p.body.target?.branchName;
+    if (!branch) continue;
+    const key = branchKey(p.body.source.repository, branch);
+    if (branches.has(key)) {
+      issue("error", p.taskName, "branch", `Branch "${branch}" is also used by task "${branches.get(key)}"`);
+    } else {
+      branches.set(key, p.taskName);
+    }
+  }
+  checks.branches.requested = [...new Set(planned.map((p) => p.body.target?.branchName).filter(Boolean))];
+  if (branches.size > 0) {
+    try {
+      for await (const agent of iterateAgents(apiKey)) {
+        const branch = agent.target?.branchName;
+        const key = branch && branchKey(agent.source?.repository || "", branch);
+        if (branches.has(key)) {
+          issue("warning", branches.get(key), "branch", `Branch "${branch}" is already used by agent ${agent.id} (${agent.status})`);
+        }
+      }
+    } catch (err) {
+      issue("warning", undefined, "branch", `Could not check existing agents' branches: ${err.message}`);
+    }
   }
 
-  const intervalSec = parseInt(opts.interval || "30", 10);
-  const timeoutSec = parseInt(opts.timeout || "1800", 10);
+  const prompts = new Map();
+  for (const r of requests) {
+    const key = r.params.promptText.trim();
+    if (prompts.has(key)) {
+      issue("warning", r.taskName, "prompt", `Same prompt as task "${prompts.get(key)}"`);
+    } else {
+      prompts.set(key, r.taskName);
+    }
+  }
 
-  const results = await pollAgents(
-    apiKey,
-    ids,
-    intervalSec * 1000,
-    timeoutSec * 1000
+  const waves = launchWaves(requests);
+  const errors = issues.filter((i) => i.level === "error");
+  outputOutcome(
+    {
+      dryRun: true,
+      command,
+      run: runName,
+      valid: errors.length === 0,
+      summary: {
+        agents: requests.length,
+        errors: errors.length,
+        warnings: issues.length - errors.length,
+      },
+      concurrency: {
+        maxParallel: Math.min(maxConcurrent ?? Infinity, Math.max(...waves.map((w) => w.length))),
+        maxConcurrent,
+        waves,
+      },
+      checks,
+      issues,
+      requests: planned,
+    },
+    errors.length > 0
+      ? codedError("INVALID_ARGUMENT", `Dry run found ${errors.length} problem(s); nothing was launched`, {
+          issues: errors,
+        })
+      : null
   );
+}
 
-  const statusCounts = {};
-  for (const a of results) {
-    const s = a.status || "UNKNOWN";
-    statusCounts[s] = (statusCounts[s] || 0) + 1;
+async function cmdLaunch(opts) {
+  const apiKey = getApiKey();
+  const repo = opts.repo || config.repo;
+  if (!repo) fatal('Missing required argument: --repo (or "repo" in the config)');
+  const promptText = requireArg(opts, "prompt");
+  const ref = opts.ref || config.ref || "main";
+  const params = {
+    promptText,
+    promptImages: await loadImages(opts.image),
+    repository: repo,
+    ref,
+    model: opts.model || config.model,
+    autoCreatePr: parseBool(opts["auto-pr"]) ?? config.autoPr,
+    openAsCursorGithubApp: parseBool(opts["cursor-github-app"]),
+    skipReviewerRequest: parseBool(opts["skip-reviewer"]),
+    branchName: opts.branch,
+    webhookUrl: opts["webhook-url"] || config.webhookUrl,
+    webhookSecret: opts["webhook-secret"] || config.webhookSecret,
+  };
+
+  if (parseBool(opts["dry-run"])) {
+    await planLaunch(apiKey, "launch", opts.run, [
+      { taskName: opts.task || "launch", dependsOn: [], params },
+    ]);
+    return;
+  }
+
+  const runName = await newRunName(opts, "launch");
+  const result = await launchAgent(apiKey, params);
+
+  const runWarning = await recordRun({
+    name: runName,
+    command: "launch",
+    repo,
+    ref,
+    agents: [
+      {
+        taskName: opts.task || "launch",
+        id: result.id,
+        branch: result.target?.branchName,
+        url: result.target?.url,
+        launchedAt: new Date().toISOString(),
+      },
+    ],
+  });
+
+  output({
+    success: true,
+    run: runName,
+    runWarning,
+    agent: {
+      id: result.id,
+      name: result.name,
+      status: result.status,
+      branch: result.target?.branchName,
+      url: result.target?.url,
+      createdAt: result.createdAt,
+    },
+  });
+}
+
+/**
+ * Check `dependsOn` references in a task list and reject cycles.
+ * Returns the task names in an order where every task follows its dependencies.
+ * @param {Array<{name?: string, dependsOn?: string[]}>} tasks
+ * @param {string} [reason]       — Why names are required, for the error message
+ * @returns {string[]}
+ */
+function validateTaskGraph(tasks, reason = 'any task uses "dependsOn"') {
+  const byName = new Map();
+  for (const task of tasks) {
+    if (!task.name) {
+      fatal(`Every task needs a "name" when ${reason}`);
+    }
+    if (byName.has(task.name)) {
+      fatal(`Duplicate task name "${task.name}"`);
+    }
+    byName.set(task.name, task);
+  }
+
+  for (const task of tasks) {
+    if (task.dependsOn === undefined) continue;
+    if (!Array.isArray(task.dependsOn)) {
+      fatal(`Task "${task.name}": "dependsOn" must be an array of task names`);
+    }
+    for (const dep of task.dependsOn) {
+      if (!byName.has(dep)) {
+        fatal(`Task "${task.name}" depends on unknown task "${dep}"`);
+      }
+    }
+  }
+
+  // Depth-first topological sort; a grey node seen twice means a cycle
+  const order = [];
+  const state = new Map(); // name -> "visiting" | "done"
+  const visit = (name, path) => {
+    if (state.get(name) === "done") return;
+    if (state.get(name) === "visiting") {
+      const cycle = [...path.slice(path.indexOf(name)), name];
+      fatal(`Dependency cycle detected: ${cycle.join(" → ")}`);
+    }
+    state.set(name, "visiting");
+    for (const dep of byName.get(name).dependsOn || []) {
+      visit(dep, [...path, name]);
+    }
+    state.set(name, "done");
+    order.push(name);
+  };
+  for (const task of tasks) visit(task.name, []);
+
+  return order;
+}
+
+// Launch attempts per queued task; only failures that are safe to retry count
+const MAX_LAUNCH_ATTEMPTS = 3;
+
+/**
+ * Launch a team whose tasks declare `dependsOn`, or that is capped by
+ * `maxConcurrent`. Each task is launched as soon as all of its dependencies
+ * reach FINISHED and a slot is free; tasks downstream of a failed, stopped or
+ * unlaunchable dependency are skipped. A launch that fails with a retryable
+ * error (e.g. a 429) goes back to the queue and is tried again next round,
+ * up to MAX_LAUNCH_ATTEMPTS times.
+ *
+ * With `failFast`, the first FAILED task stops every running sibling and skips
+ * everything not yet launched. At the deadline, `onTimeout: "stop"` stops the
+ * agents that are still running.
+ * @param {string} apiKey
+ * @param {object[]} tasks
+ * @param {string[]} order          — Topological order from validateTaskGraph
+ * @param {(task: object) => object} launchParams
+ * @param {object} options
+ * @param {number} options.intervalMs
+ * @param {number} options.timeoutMs
+ * @param {boolean} [options.failFast]
+ * @param {"leave"|"stop"|"fail"} [options.onTimeout]
+ * @param {number} [options.maxConcurrent=Infinity] — Cap on agents running at once
+ * @param {(results: object[]) => Promise<void>} [options.onLaunch] — Called after each round of launches
+ * @param {(finishes: object[]) => Promise<void>} [options.onFinish] — Called with the
+ *   tasks whose agents reached a final status in a round of checks, for recordFinishes
+ * @param {(queue: {queued: number, running: number, done: number}) => void} [options.onProgress]
+ *   — Called with the queue counts whenever they change
+ * @param {AbortSignal} [options.signal] — Ends the wait early; tasks not yet launched stay PENDING
+ * @returns {Promise<object[]>} One result per task, in input order
+ */
+async function runTaskGraph(apiKey, tasks, order, launchParams, options) {
+  const { intervalMs, timeoutMs, failFast, onTimeout, maxConcurrent = Infinity, onLaunch, onFinish, onProgress, signal } =
+    options;
+  const deadline = Date.now() + timeoutMs;
+  const byName = new Map(tasks.map((t) => [t.name, t]));
+  const results = new Map(
+    tasks.map((t) => [
+      t.name,
+      { taskName: t.name, repo: t.repo, ref: t.ref, dependsOn: t.dependsOn || [], status: "PENDING" },
+    ])
+  );
+  const isDone = (r) => isTerminalStatus(r.status) || r.status === "SKIPPED" || r.status === "LAUNCH_FAILED";
+  let lastProgress;
+  const reportProgress = () => {
+    const queue = queueCounts([...results.values()]);
+    const key = JSON.stringify(queue);
+    if (key === lastProgress) return;
+    lastProgress = key;
+    onProgress?.(queue);
+  };
+
+  // Skip anything downstream of a dependency that did not finish. Walking in
+  // topological order lets one pass carry skips down a whole chain.
+  const skipBlocked = () => {
+    for (const name of order) {
+      const result = results.get(name);
+      if (result.status !== "PENDING") continue;
+      const blockers = result.dependsOn.filter((dep) => {
+        const depResult = results.get(dep);
+        return isDone(depResult) && depResult.status !== "FINISHED";
+      });
+      if (blockers.length > 0) {
+        result.status = "SKIPPED";
+        result.skippedBecause = blockers;
+        audit({ type: "decision", action: "skip", reason: "dependency", task: name, blockedBy: blockers });
+      }
+    }
+  };
+
+  while (true) {
+    skipBlocked();
+    if (signal?.aborted) break;
+
+    // Launch everything whose dependencies have all finished, in task order,
+    // while there are free slots
+    const ready = order.filter((name) => {
+      const result = results.get(name);
+      return (
+        result.status === "PENDING" &&
+        result.dependsOn.every((dep) => results.get(dep).status === "FINISHED")
+      );
+    });
+    const active = [...results.values()].filter((r) => r.id && !isDone(r)).length;
+    const launching = ready.slice(0, Math.max(0, maxConcurrent - active));
+    await Promise.all(
+      launching.map(async (name) => {
+        const result = results.get(name);
+        result.launchAttempts = (result.launchAttempts || 0) + 1;
+        try {
+          // Not cancellable: an aborted POST may still create an agent we'd lose track of
+          const agent = await launchAgent(apiKey, launchParams(byName.get(name)));
+          delete result.error;
+          Object.assign(result, agentFields(agent));
+        } catch (err) {
+          result.error = toErrorObject(err);
+          // Retryable launch errors were never processed, so no agent was created
+          if (!err.retryable || result.launchAttempts >= MAX_LAUNCH_ATTEMPTS) {
+            result.status = "LAUNCH_FAILED";
+          } else {
+            audit({ type: "decision", action: "requeue", reason: err.code, task: name, attempts: result.launchAttempts });
+          }
+        }
+      })
+    );
+    if (launching.length > 0 && onLaunch) {
+      await onLaunch(tasks.map((t) => results.get(t.name)));
+    }
+    reportProgress();
+
+    const running = [...results.values()].filter((r) => r.id && !isDone(r));
+    const queued = ready.filter((name) => results.get(name).status === "PENDING");
+    if ((running.length === 0 && queued.length === 0) || signal?.aborted) {
+      // A failed launch may have blocked tasks that are still pending
+      skipBlocked();
+      break;
+    }
+
+    if (Date.now() >= deadline) {
+      if (onTimeout === "stop") {
+        const stopped = await stopAgents(apiKey, running.map((r) => r.id), "timeout");
+        for (const r of running) {
+          if (stopped.has(r.id)) r.stoppedBy = "timeout";
+        }
+      }
+      break;
+    }
+
+    try {
+      await sleep(intervalMs, signal);
+    } catch {
+      break;
+    }
+
+    const checks = await Promise.allSettled(running.map((r) => getAgent(apiKey, r.id, { signal })));
+    if (signal?.aborted) break;
+    const checkedAt = new Date().toISOString();
+    const finishes = [];
+    checks.forEach((check, i) => {
+      // On rejection, we'll retry next iteration
+      if (check.status === "fulfilled") {
+        Object.assign(running[i], agentFields(check.value));
+        if (isTerminalStatus(running[i].status)) {
+          const { id, status, prUrl, summary } = running[i];
+          finishes.push({ id, status, at: checkedAt, prUrl, summary });
+        }
+      }
+    });
+    if (finishes.length > 0 && onFinish) await onFinish(finishes);
+    reportProgress();
+
+    const failed = running.find((r) => r.status === "FAILED");
+    if (failFast && failed) {
+      const siblings = running.filter((r) => !isDone(r));
+      const stopped = await stopAgents(apiKey, siblings.map((r) => r.id), "fail-fast");
+      for (const r of siblings) {
+        if (stopped.has(r.id)) r.stoppedBy = "fail-fast";
+      }
+      for (const r of results.values()) {
+        if (r.status === "PENDING") {
+          r.status = "SKIPPED";
+          r.skippedBecause = [failed.taskName];
+          audit({ type: "decision", action: "skip", reason: "fail-fast", task: r.taskName, blockedBy: [failed.taskName] });
+        }
+      }
+      break;
+    }
+  }
+
+  return tasks.map((t) => results.get(t.name));
+}
+
+/**
+ * Pick the fields the CLI reports for an agent.
+ * @param {object} agent
+ * @returns {object}
+ */
+function agentFields(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    status: agent.status,
+    branch: agent.target?.branchName,
+    url: agent.target?.url,
+    prUrl: agent.target?.prUrl,
+    summary: agent.summary,
+  };
+}
+
+/**
+ * Count queued (not launched yet), running and done tasks in a queue's results.
+ * @param {object[]} results
+ * @returns {{queued: number, running: number, done: number}}
+ */
+function queueCounts(results) {
+  const counts = { queued: 0, running: 0, done: 0 };
+  for (const r of results) {
+    if (r.status === "PENDING") counts.queued++;
+    else if (r.id && !isTerminalStatus(r.status)) counts.running++;
+    else counts.done++;
+  }
+  return counts;
+}
+
+/**
+ * Group results by repository for multi-repo teams: task names, agent IDs and
+ * a status count per repo. Failed launches count as LAUNCH_FAILED.
+ * @param {object[]} results — Objects with repo, taskName, id, status
+ * @returns {Record<string, {tasks: string[], ids: string[], summary: Record<string, number>}>}
+ */
+function groupByRepository(results) {
+  const groups = {};
+  for (const r of results) {
+    const group = (groups[r.repo || "unknown"] ||= { tasks: [], ids: [], summary: {} });
+    if (r.taskName) group.tasks.push(r.taskName);
+    if (r.id) group.ids.push(r.id);
+    const status = r.status || (r.success === false ? "LAUNCH_FAILED" : "UNKNOWN");
+    group.summary[status] = (group.summary[status] || 0) + 1;
+  }
+  return groups;
+}
+
+/**
+ * Read the team definition from --file (a manifest) or --tasks (inline JSON).
+ * Flags given on the command line replace the manifest's defaults.
+ * @param {Record<string, string|string[]>} opts
+ * @returns {Promise<import("./manifest.mjs").TeamManifest>}
+ */
+async function loadTeamSpec(opts) {
+  const vars = parseVars(opts.var);
+
+  if (opts.file) {
+    if (opts.tasks) fatal("Use either --file or --tasks, not both");
+    return loadTeamManifest(opts.file, vars);
+  }
+
+  const tasksRaw = requireArg(opts, "tasks");
+  let tasks;
+  try {
+    tasks = JSON.parse(tasksRaw);
+  } catch (e) {
+    fatal(`Invalid JSON for --tasks: ${e.message}`);
+  }
+  return { tasks: await resolveTasks(tasks, { vars }) };
+}
+
+async function cmdTeam(opts) {
+  const apiKey = getApiKey();
+  // Validate all tasks before launching any
+  const spec = await loadTeamSpec(opts);
+  const repo = opts.repo || spec.repo || config.repo;
+  const ref = opts.ref || spec.ref || config.ref || "main";
+  const unassigned = spec.tasks.filter((task) => !task.repo);
+  if (!repo && unassigned.length > 0) {
+    fatal(
+      'Missing required argument: --repo (or "repo" in the --file manifest or config). ' +
+        `Tasks without their own "repo": ${unassigned.map((t) => t.name || "unnamed").join(", ")}`
+    );
+  }
+  // Tasks may override the team's repo and ref individually; --image applies
+  // to every task, ahead of the task's own images
+  const teamImages = await loadImages(opts.image);
+  const tasks = spec.tasks.map((task) => {
+    const promptImages = [...teamImages, ...(task.promptImages || [])];
+    checkImageCount(promptImages.length, `task "${task.name || "unnamed"}"`);
+    return { ...task, repo: task.repo || repo, ref: task.ref || ref, promptImages };
+  });
+  // One entry per repository, however each task spelled it
+  const repos = [...new Map(tasks.map((task) => [normalizeRepo(task.repo), task.repo])).values()];
+
+  const hasDependencies = tasks.some((task) => task.dependsOn !== undefined);
+  let maxConcurrent;
+  if (opts["max-concurrent"] !== undefined) {
+    maxConcurrent = Number(opts["max-concurrent"]);
+    if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+      fatal("--max-concurrent must be a positive integer");
+    }
+  }
+  // Dependencies and a concurrency cap both need the queue, which tracks tasks by name
+  const useQueue = hasDependencies || maxConcurrent !== undefined;
+  const order = useQueue
+    ? validateTaskGraph(tasks, hasDependencies ? 'any task uses "dependsOn"' : "--max-concurrent is set")
+    : null;
+
+  const model = opts.model || spec.model || config.model;
+  const autoCreatePr = parseBool(opts["auto-pr"]) ?? spec.autoPr ?? config.autoPr;
+  const branchPrefix = opts["branch-prefix"] || spec.branchPrefix;
+  const webhookUrl = opts["webhook-url"] || spec.webhookUrl || config.webhookUrl;
+  const webhookSecret = opts["webhook-secret"] || spec.webhookSecret || config.webhookSecret;
+
+  const launchParams = (task) => ({
+    promptText: task.prompt,
+    promptImages: task.promptImages,
+    repository: task.repo,
+    ref: task.ref,
+    model: task.model || model,
+    autoCreatePr: task.autoPr ?? autoCreatePr,
+    branchName: task.branch || (branchPrefix && task.name ? branchPrefix + task.name : undefined),
+    webhookUrl,
+    webhookSecret,
+  });
+
+  if (parseBool(opts["dry-run"])) {
+    await planLaunch(
+      apiKey,
+      "team",
+      opts.run,
+      tasks.map((task) => ({
+        taskName: task.name || "unnamed",
+        dependsOn: task.dependsOn || [],
+        params: launchParams(task),
+      })),
+      maxConcurrent
+    );
+    return;
+  }
+
+  if (webhookSecret && webhookSecret.length < 32) {
+    fatal("--webhook-secret must be at least 32 characters");
+  }
+  // A multi-repo team that can only launch part of its tasks leaves a
+  // feature half-built, so confirm access to every repo up front
+  let repoWarning;
+  if (repos.length > 1 && !parseBool(opts["skip-repo-check"])) {
+    let access;
+    try {
+      access = await checkRepositoryAccess(apiKey, repos);
+    } catch (err) {
+      repoWarning = `Could not verify repository access: ${err.message}`;
+    }
+    if (access === null) {
+      repoWarning = "Repository access not verified: no cached repo list and the rate limit window is closed";
+    } else if (access?.missing.length > 0) {
+      fatal(
+        codedError(
+          "FORBIDDEN",
+          `The Cursor GitHub App has no access to ${access.missing.join(", ")} (as of ${access.listedAt}); ` +
+            "nothing was launched. Install the app, run `repos --refresh`, or pass --skip-repo-check.",
+          { repositories: access.missing }
+        )
+      );
+    }
+  }
+  const runName = await newRunName(opts, "team");
+  const launchedAt = new Map();
+
+  const saveTeamRun = async (results) =>
+    recordRun({
+      name: runName,
+      command: "team",
+      repo,
+      ref,
+      repos: repos.length > 1 ? repos : undefined,
+      agents: runAgents(results, launchedAt, await savedAgents(runName)),
+    });
+
+  if (useQueue) {
+    const intervalSec = parseInt(opts.interval || "30", 10);
+    const timeoutSec = parseInt(opts.timeout || "1800", 10);
+    const policy = parseWaitPolicy(opts);
+    const signal = interruptSignal();
+    let runWarning = await saveTeamRun(tasks.map((t) => ({ taskName: t.name })));
+    let warning;
+    const results = await runTaskGraph(apiKey, tasks, order, launchParams, {
+      intervalMs: intervalSec * 1000,
+      timeoutMs: timeoutSec * 1000,
+      ...policy,
+      maxConcurrent,
+      signal,
+      onLaunch: async (current) => {
+        const now = new Date().toISOString();
+        for (const r of current) {
+          if (r.id && !launchedAt.has(r.id)) launchedAt.set(r.id, now);
+        }
+        runWarning = await saveTeamRun(current);
+      },
+      onFinish: async (finishes) => {
+        warning = (await recordFinishes(finishes)) || warning;
+      },
+      // The result only comes at the end, so queue progress goes to stderr as it happens
+      onProgress: (queue) => {
+        console.error(JSON.stringify({ type: "progress", at: new Date().toISOString(), run: runName, queue }));
+      },
+    });
+
+    if (signal.aborted) await stopOnInterrupt(apiKey, results, opts);
+
+    const statusCounts = {};
+    for (const r of results) {
+      statusCounts[r.status] = (statusCounts[r.status] || 0) + 1;
+    }
+    const outcome = classifyOutcome(results, signal.aborted);
+
+    outputOutcome(
+      {
+        summary: { total: tasks.length, ...statusCounts },
+        queue: queueCounts(results),
+        outcome,
+        run: runName,
+        runWarning,
+        repoWarning,
+        warning,
+        repositories: groupByRepository(results),
+        agents: results,
+        ids: results.filter((r) => r.id).map((r) => r.id),
+      },
+      signal.aborted ? signal.reason : waitError(results, outcome, policy)
+    );
+    return;
+  }
+
+  // Launch all agents in parallel
+  const launches = tasks.map((task) =>
+    launchAgent(apiKey, launchParams(task))
+      .then((agent) => ({
+        taskName: task.name || "unnamed",
+        repo: task.repo,
+        ref: task.ref,
+        success: true,
+        id: agent.id,
+        name: agent.name,
+        status: agent.status,
+        branch: agent.target?.branchName,
+        url: agent.target?.url,
+      }))
+      .catch((err) => ({
+        taskName: task.name || "unnamed",
+        repo: task.repo,
+        ref: task.ref,
+        success: false,
+        error: toErrorObject(err),
+      }))
+  );
+
+  const results = await Promise.all(launches);
+  const now = new Date().toISOString();
+  for (const r of results) {
+    if (r.id) launchedAt.set(r.id, now);
+  }
+  const runWarning = await saveTeamRun(results);
+
+  const successCount = results.filter((r) => r.success).length;
+  const failCount = results.filter((r) => !r.success).length;
+
+  outputOutcome(
+    {
+      summary: {
+        total: tasks.length,
+        launched: successCount,
+        failed: failCount,
+      },
+      run: runName,
+      runWarning,
+      repoWarning,
+      repositories: groupByRepository(results),
+      agents: results,
+      // Convenience: array of just the IDs for use with poll/team-status
+      ids: results.filter((r) => r.success).map((r) => r.id),
+    },
+    partialFailure(results, "launches")
+  );
+}
+
+/**
+ * Build the prompt for a pipeline stage. Stages after the first are told which
+ * branch they start from and what the previous agent reported doing.
+ * @param {string} prompt
+ * @param {{name: string, agent: object} | null} previous
+ * @returns {string}
+ */
+function buildStagePrompt(prompt, previous) {
+  if (!previous) return prompt;
+
+  const branch = previous.agent.target?.branchName;
+  const parts = [
+    `You are continuing work from a previous agent (stage "${previous.name}")` +
+      (branch ? ` on branch ${branch}.` : "."),
+  ];
+  if (previous.agent.summary) {
+    parts.push(`Summary of the previous stage:\n${previous.agent.summary}`);
+  }
+  parts.push(`Your task:\n${prompt}`);
+  return parts.join("\n\n");
+}
+
+async function cmdPipeline(opts) {
+  const apiKey = getApiKey();
+  const repo = opts.repo || config.repo;
+  if (!repo) fatal('Missing required argument: --repo (or "repo" in the config)');
+  const stagesRaw = requireArg(opts, "stages");
+
+  let stages;
+  try {
+    stages = JSON.parse(stagesRaw);
+  } catch (e) {
+    fatal(`Invalid JSON for --stages: ${e.message}`);
+  }
+
+  if (!Array.isArray(stages) || stages.length === 0) {
+    fatal("--stages must be a non-empty JSON array of {name, prompt} objects");
+  }
+
+  // Validate all stages before launching any
+  stages.forEach((stage, i) => {
+    if (!stage.prompt) {
+      fatal(`Stage "${stage.name || i + 1}" is missing a "prompt" field`);
+    }
+  });
+
+  const model = opts.model || config.model;
+  const autoCreatePr = parseBool(opts["auto-pr"]) ?? config.autoPr;
+  const webhookUrl = opts["webhook-url"] || config.webhookUrl;
+  const webhookSecret = opts["webhook-secret"] || config.webhookSecret;
+  const intervalSec = parseInt(opts.interval || "30", 10);
+  const timeoutSec = parseInt(opts.timeout || "1800", 10);
+
+  const runName = await newRunName(opts, "pipeline");
+  const baseRef = opts.ref || config.ref || "main";
+  const signal = interruptSignal();
+  const launchedAt = new Map();
+  // `inFlight` holds a stage that has launched but not yet finished polling
+  const savePipelineRun = async (inFlight = []) =>
+    recordRun({
+      name: runName,
+      command: "pipeline",
+      repo,
+      ref: baseRef,
+      agents: runAgents([...results, ...inFlight], launchedAt, await savedAgents(runName)),
+    });
+
+  let ref = baseRef;
+  let previous = null;
+  let haltedAt = null;
+  let runWarning;
+  let warning;
+  const results = [];
+
+  for (let i = 0; i < stages.length; i++) {
+    const stage = stages[i];
+    const stageName = stage.name || `stage-${i + 1}`;
+
+    if (haltedAt || signal.aborted) {
+      results.push({ stage: stageName, status: "SKIPPED" });
+      continue;
+    }
+
+    let launched;
+    try {
+      launched = await launchAgent(apiKey, {
+        promptText: buildStagePrompt(stage.prompt, previous),
+        repository: repo,
+        ref,
+        model: stage.model || model,
+        autoCreatePr,
+        branchName: stage.branch,
+        webhookUrl,
+        webhookSecret,
+      });
+    } catch (err) {
+      results.push({ stage: stageName, ref, status: "LAUNCH_FAILED", error: toErrorObject(err) });
+      haltedAt = stageName;
+      runWarning = await savePipelineRun();
+      continue;
+    }
+
+    // Record the agent before the long poll so the run can be resumed by name
+    launchedAt.set(launched.id, new Date().toISOString());
+    runWarning = await savePipelineRun([
+      {
+        stage: stageName,
+        id: launched.id,
+        branch: launched.target?.branchName,
+        url: launched.target?.url,
+      },
+    ]);
+
+    let agent;
+    try {
+      agent = await pollAgent(apiKey, launched.id, intervalSec * 1000, timeoutSec * 1000, { signal });
+    } catch (err) {
+      if (err.code === "ABORTED") {
+        const current = { stage: stageName, id: launched.id, ref, status: err.agent?.status || "UNKNOWN" };
+        await stopOnInterrupt(apiKey, [current], opts);
+        results.push(current);
+      } else {
+        results.push({ stage: stageName, id: launched.id, ref, status: "TIMEOUT", error: toErrorObject(err) });
+      }
+      haltedAt = stageName;
+      continue;
+    }
+
+    results.push({
+      stage: stageName,
+      id: agent.id,
+      name: agent.name,
+      status: agent.status,
+      ref,
+      branch: agent.target?.branchName,
+      url: agent.target?.url,
+      prUrl: agent.target?.prUrl,
+      summary: agent.summary,
+    });
+    warning =
+      (await recordFinishes([
+        {
+          id: agent.id,
+          status: agent.status,
+          at: new Date().toISOString(),
+          prUrl: agent.target?.prUrl,
+          summary: agent.summary,
+        },
+      ])) || warning;
+
+    if (agent.status !== "FINISHED") {
+      haltedAt = stageName;
+      continue;
+    }
+
+    // Next stage builds on this agent's branch
+    previous = { name: stageName, agent };
+    ref = agent.target?.branchName || ref;
+  }
+  runWarning = (await savePipelineRun()) || runWarning;
+
+  const halted = results.find((r) => r.stage === haltedAt);
+  let haltError = null;
+  if (signal.aborted) {
+    haltError = signal.reason;
+  } else if (halted) {
+    haltError = codedError(
+      halted.status === "TIMEOUT" ? "POLL_TIMEOUT" : "PARTIAL_FAILURE",
+      `Pipeline halted at stage "${haltedAt}" (${halted.status})`,
+      { stage: haltedAt, status: halted.status }
+    );
+  }
+
+  outputOutcome(
+    {
+      summary: {
+        total: stages.length,
+        finished: results.filter((r) => r.status === "FINISHED").length,
+        completed: haltedAt === null && !signal.aborted,
+        haltedAt,
+      },
+      run: runName,
+      runWarning,
+      warning,
+      stages: results,
+      ids: results.filter((r) => r.id).map((r) => r.id),
+    },
+    haltError
+  );
+}
+
+async function cmdStatus(opts) {
+  const apiKey = getApiKey();
+  const id = requireArg(opts, "id");
+  const agent = await getAgent(apiKey, id);
+  output({
+    id: agent.id,
+    name: agent.name,
+    status: agent.status,
+    branch: agent.target?.branchName,
+    url: agent.target?.url,
+    prUrl: agent.target?.prUrl,
+    summary: agent.summary,
+    createdAt: agent.createdAt,
+  });
+}
+
+async function cmdTeamStatus(opts) {
+  const apiKey = getApiKey();
+  const ids = await resolveIds(opts);
+  // The run record knows each agent's task and repo even when a check fails
+  const recorded = new Map(
+    opts.run ? (await loadRun(opts.run)).agents.filter((a) => a.id).map((a) => [a.id, a]) : []
+  );
+
+  const checks = await Promise.allSettled(
+    ids.map((id) => getAgent(apiKey, id))
+  );
+
+  const agents = ids.map((id, i) => {
+    const result = checks[i];
+    const { taskName, repo } = recorded.get(id) || {};
+    if (result.status === "fulfilled") {
+      const a = result.value;
+      return {
+        id: a.id,
+        taskName,
+        repo: a.source?.repository || repo,
+        name: a.name,
+        status: a.status,
+        branch: a.target?.branchName,
+        url: a.target?.url,
+        prUrl: a.target?.prUrl,
+        summary: a.summary,
+      };
+    } else {
+      return { id, taskName, repo, status: "ERROR", error: toErrorObject(result.reason) };
+    }
+  });
+
+  const statusCounts = {};
+  for (const a of agents) {
+    statusCounts[a.status] = (statusCounts[a.status] || 0) + 1;
+  }
+
+  outputOutcome(
+    {
+      summary: statusCounts,
+      run: opts.run,
+      repositories: groupByRepository(agents),
+      agents,
+    },
+    partialFailure(agents, "status checks")
+  );
+}
+
+/**
+ * Summarize agents' results as JSON, Markdown or JUnit XML. Each duration runs
+ * from createdAt to when the final status was first seen: the time recorded on
+ * the run by `poll`, `serve-webhooks` or an earlier report, else now.
+ * @param {Record<string, string>} opts
+ */
+async function cmdReport(opts) {
+  const apiKey = getApiKey();
+  const format = opts.format || "json";
+  if (!REPORT_FORMATS.includes(format)) {
+    fatal(`Unknown --format "${format}". Use ${REPORT_FORMATS.join(", ")}.`);
+  }
+  const ids = await resolveIds(opts);
+  // Task names and recorded finishes, from --run or any saved run holding these
+  // agents. A run that cannot be read is skipped with a warning.
+  const recorded = new Map();
+  const unreadable = [];
+  const runNames = opts.run ? [opts.run] : (await listRuns()).map((r) => r.name);
+  for (const name of runNames) {
+    let agents;
+    try {
+      agents = (await loadRun(name)).agents;
+    } catch {
+      // Missing or not JSON: reported below with runs that have no agent list
+    }
+    if (!Array.isArray(agents)) {
+      unreadable.push(name);
+      continue;
+    }
+    for (const agent of agents) {
+      if (ids.includes(agent.id) && !recorded.has(agent.id)) recorded.set(agent.id, agent);
+    }
+  }
+  const runWarning = unreadable.length > 0 ? `Skipped unreadable runs: ${unreadable.join(", ")}` : undefined;
+
+  const now = new Date();
+  const results = await forEachAgent(ids, (id) => getAgent(apiKey, id));
+  const agents = results.map(({ id, result: a, error }) => {
+    const { taskName, repo, status, statusAt } = recorded.get(id) || {};
+    if (error) return { id, taskName, repo, error };
+    // A recorded time only marks the finish if that status is still the current one
+    let endedAt;
+    if (isTerminalStatus(a.status)) endedAt = (status === a.status && statusAt) || now.toISOString();
+    const startMs = Date.parse(a.createdAt);
+    const endMs = endedAt ? Date.parse(endedAt) : now.getTime();
+    return {
+      id: a.id,
+      taskName,
+      repo: a.source?.repository || repo,
+      name: a.name,
+      status: a.status,
+      branch: a.target?.branchName,
+      url: a.target?.url,
+      prUrl: a.target?.prUrl,
+      summary: a.summary,
+      createdAt: a.createdAt,
+      endedAt,
+      durationMs: Number.isNaN(startMs) ? undefined : Math.max(0, endMs - startMs),
+    };
+  });
+  const warning = await recordFinishes(
+    agents
+      .filter((a) => a.endedAt && recorded.get(a.id)?.status !== a.status)
+      .map((a) => ({ id: a.id, status: a.status, at: a.endedAt, prUrl: a.prUrl, summary: a.summary }))
+  );
+
+  const report = buildReport({
+    title: opts.title || (opts.run ? `Run: ${opts.run}` : "Agent report"),
+    run: opts.run,
+    agents,
+    generatedAt: now.toISOString(),
+  });
+  const failure = partialFailure(agents, "status checks");
+  if (format === "json") {
+    outputOutcome({ ...report, runWarning, warning }, failure);
+    return;
+  }
+
+  process.stdout.write(renderReport(format, report));
+  // The document goes to stdout; problems are reported on stderr
+  if (runWarning) console.error(JSON.stringify({ runWarning }));
+  if (warning) console.error(JSON.stringify({ warning }));
+  if (failure) {
+    const error = toErrorObject(failure);
+    console.error(JSON.stringify({ error }));
+    process.exitCode = exitCodeFor(error.code);
+  }
+}
+
+/**
+ * Read --fail-fast and --on-timeout for commands that wait on agents.
+ * @param {Record<string, string>} opts
+ * @returns {{failFast: boolean, onTimeout: "leave"|"stop"|"fail"}}
+ */
+function parseWaitPolicy(opts) {
+  const onTimeout = opts["on-timeout"] || "leave";
+  if (!["leave", "stop", "fail"].includes(onTimeout)) {
+    fatal('--on-timeout must be "leave", "stop" or "fail"');
+  }
+  return { failFast: parseBool(opts["fail-fast"]) === true, onTimeout };
+}
+
+/**
+ * Stop agents in parallel, returning the IDs that were stopped successfully.
+ * The decision is audited with its reason before any stop request is sent.
+ * @param {string} apiKey
+ * @param {string[]} ids
+ * @param {"fail-fast"|"timeout"|"interrupt"} reason
+ * @returns {Promise<Set<string>>}
+ */
+async function stopAgents(apiKey, ids, reason) {
+  if (ids.length > 0) audit({ type: "decision", action: "stop", reason, agentIds: ids });
+  const settled = await Promise.allSettled(ids.map((id) => stopAgent(apiKey, id)));
+  return new Set(ids.filter((_, i) => settled[i].status === "fulfilled"));
+}
+
+/**
+ * Abort signal for a long wait. The first SIGINT or SIGTERM fires it, so the
+ * command can stop waiting and print what it has collected; a second one
+ * terminates the process as usual.
+ * @returns {AbortSignal}
+ */
+function interruptSignal() {
+  const controller = new AbortController();
+  const onSignal = (name) => {
+    controller.abort(codedError("ABORTED", `Interrupted by ${name}; showing results collected so far`));
+  };
+  process.once("SIGINT", onSignal);
+  process.once("SIGTERM", onSignal);
+  return controller.signal;
+}
+
+/**
+ * With --stop-on-interrupt, stop every agent in `results` that is not yet
+ * terminal, marking the ones stopped with `stoppedBy: "interrupt"`.
+ * @param {string} apiKey
+ * @param {object[]} results — Each with id (if launched) and status
+ * @param {Record<string, string>} opts
+ */
+async function stopOnInterrupt(apiKey, results, opts) {
+  if (!parseBool(opts["stop-on-interrupt"])) return;
+  const running = results.filter((r) => r.id && !isTerminalStatus(r.status));
+  const stopped = await stopAgents(apiKey, running.map((r) => r.id), "interrupt");
+  for (const r of running) {
+    if (stopped.has(r.id)) r.stoppedBy = "interrupt";
+  }
+}
+
+/**
+ * Split results into outcome buckets. Entries are agent IDs, or task names for
+ * tasks that never launched.
+ * @param {object[]} results — Each with status, and optionally id, taskName, stoppedBy
+ * @param {boolean} [interrupted] — Report unfinished agents as `interrupted` rather than `timedOut`
+ * @returns {{finished: string[], failed: string[], stopped: string[], timedOut: string[], skipped: string[], interrupted?: string[]}}
+ */
+function classifyOutcome(results, interrupted = false) {
+  const outcome = { finished: [], failed: [], stopped: [], timedOut: [], skipped: [] };
+  if (interrupted) outcome.interrupted = [];
+  for (const r of results) {
+    const key = r.id || r.taskName;
+    if (r.stoppedBy || r.status === "STOPPED") outcome.stopped.push(key);
+    else if (r.status === "FINISHED") outcome.finished.push(key);
+    else if (r.status === "FAILED" || r.status === "LAUNCH_FAILED") outcome.failed.push(key);
+    else if (r.status === "SKIPPED") outcome.skipped.push(key);
+    else if (interrupted) outcome.interrupted.push(key);
+    else outcome.timedOut.push(key);
+  }
+  return outcome;
+}
+
+/**
+ * Overall error for a wait: failures (including fail-fast stops) take
+ * precedence, then timeouts when --on-timeout fail was requested.
+ * @param {object[]} results
+ * @param {ReturnType<typeof classifyOutcome>} outcome
+ * @param {{onTimeout: string}} policy
+ * @returns {Error|null}
+ */
+function waitError(results, outcome, policy) {
+  const failFastStopped = results.some((r) => r.stoppedBy === "fail-fast");
+  if (outcome.failed.length > 0 || failFastStopped) {
+    return codedError(
+      "PARTIAL_FAILURE",
+      `${outcome.failed.length} of ${results.length} agents failed` +
+        (failFastStopped ? "; siblings were stopped (--fail-fast)" : ""),
+      { failed: outcome.failed, stopped: outcome.stopped }
+    );
+  }
+  const timedOut = outcome.timedOut.length > 0 || results.some((r) => r.stoppedBy === "timeout");
+  if (timedOut && policy.onTimeout === "fail") {
+    return codedError(
+      "POLL_TIMEOUT",
+      `${outcome.timedOut.length} agents did not finish before the timeout`,
+      { timedOut: outcome.timedOut }
+    );
+  }
+  return null;
+}
+
+/**
+ * Run an action against every agent in a run, collecting per-agent outcomes.
+ * @param {string[]} ids
+ * @param {(id: string) => Promise<any>} action
+ * @returns {Promise<Array<{id: string, success: boolean, result?: any, error?: object}>>}
+ */
+async function forEachAgent(ids, action) {
+  const settled = await Promise.allSettled(ids.map((id) => action(id)));
+  return ids.map((id, i) =>
+    settled[i].status === "fulfilled"
+      ? { id, success: true, result: settled[i].value }
+      : { id, success: false, error: toErrorObject(settled[i].reason) }
+  );
+}
+
+/**
+ * Parse --since / --last for conversation filtering.
+ * @param {Record<string, string>} opts
+ * @returns {{since?: string, last?: number}}
+ */
+function parseMessageFilters(opts) {
+  let last;
+  if (opts.last !== undefined) {
+    last = Number(opts.last);
+    if (!Number.isInteger(last) || last < 1) {
+      fatal(`--last must be a positive integer, got "${opts.last}"`);
+    }
+  }
+  return { since: opts.since, last };
+}
+
+async function cmdConversation(opts) {
+  const apiKey = getApiKey();
+  const format = opts.format || "json";
+  if (format !== "json" && !TRANSCRIPT_FORMATS.includes(format)) {
+    fatal(`Unknown --format "${format}". Use json, ${TRANSCRIPT_FORMATS.join(", ")}.`);
+  }
+  const filters = parseMessageFilters(opts);
+  const runName = opts.run || opts.team;
+  const multi = Boolean(runName || opts.ids);
+  if (!opts.id && !multi) {
+    fatal("Missing required argument: --id (or --run / --ids)");
+  }
+  if (multi && filters.since && Number.isNaN(Date.parse(filters.since))) {
+    fatal("--since must be a date/time with --run or --ids (message IDs only work with --id)");
+  }
+  const ids = opts.id ? [opts.id] : await resolveIds({ ...opts, run: runName });
+
+  // Rendered transcripts show each agent's status, branch and PR in a header
+  const fetchTranscript = async (id) => {
+    const [conversation, agent] = await Promise.all([
+      getAgentConversation(apiKey, id),
+      format === "json" ? undefined : getAgent(apiKey, id),
+    ]);
+    const messages = filterMessages(conversation.messages || [], filters);
+    return { conversation: { ...conversation, messages }, agent };
+  };
+
+  if (!multi) {
+    const { conversation, agent } = await fetchTranscript(ids[0]);
+    if (format === "json") {
+      output(conversation);
+      return;
+    }
+    const title = `Conversation: ${agent?.name || ids[0]}`;
+    process.stdout.write(
+      renderTranscript(format, title, [{ id: ids[0], agent, messages: conversation.messages }])
+    );
+    return;
+  }
+
+  const results = await forEachAgent(ids, fetchTranscript);
+  const failure = partialFailure(results, "conversation fetches");
+
+  if (format === "json") {
+    outputOutcome(
+      {
+        run: runName,
+        conversations: results.map((r) =>
+          r.success ? r.result.conversation : { id: r.id, error: r.error }
+        ),
+      },
+      failure
+    );
+    return;
+  }
+
+  const taskNames = new Map(
+    runName ? (await loadRun(runName)).agents.map((a) => [a.id, a.taskName]) : []
+  );
+  const sections = results.map((r) => ({
+    id: r.id,
+    taskName: taskNames.get(r.id),
+    agent: r.result?.agent,
+    messages: r.result?.conversation.messages,
+    error: r.error,
+  }));
+  process.stdout.write(
+    renderTranscript(format, runName ? `Run: ${runName}` : "Agent conversations", sections)
+  );
+  if (failure) {
+    // The document goes to stdout; report the partial failure on stderr
+    const error = toErrorObject(failure);
+    console.error(JSON.stringify({ error }));
+    process.exitCode = exitCodeFor(error.code);
+  }
+}
+
+async function cmdFollowup(opts) {
+  const apiKey = getApiKey();
+  const ids = await resolveTargets(opts);
+  const promptText = requireArg(opts, "prompt");
+  const promptImages = await loadImages(opts.image);
+  if (!opts.run) {
+    const result = await addFollowUp(apiKey, ids[0], promptText, promptImages);
+    output({ success: true, id: result.id });
+    return;
+  }
+
+  const results = await forEachAgent(ids, (id) => addFollowUp(apiKey, id, promptText, promptImages));
+  outputOutcome(
+    {
+      success: results.every((r) => r.success),
+      run: opts.run,
+      agents: results.map(({ id, success, error }) => ({ id, success, error })),
+    },
+    partialFailure(results, "follow-ups")
+  );
+}
+
+/**
+ * Wait for the agent's next finished turn. `since` is the conversation length
+ * before our last follow-up: a terminal status only counts once the agent has
+ * replied after it, so a FINISHED left over from the previous turn is ignored.
+ * @param {string} apiKey
+ * @param {string} id
+ * @param {number} since
+ * @param {number} intervalMs
+ * @param {number} timeoutMs
+ * @param {AbortSignal} signal
+ * @returns {Promise<{agent: object, messages: object[], turn: object[]}>}
+ */
+async function waitForTurn(apiKey, id, since, intervalMs, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const agent = await pollAgent(apiKey, id, intervalMs, Math.max(0, deadline - Date.now()), { signal });
+    const { messages = [] } = await getAgentConversation(apiKey, id, { signal });
+    const turn = messages.slice(since);
+    if (since === 0 || turn.some((m) => m.type === "assistant_message")) {
+      return { agent, messages, turn };
+    }
+    if (Date.now() >= deadline) {
+      const err = codedError(
+        "POLL_TIMEOUT",
+        `Agent ${id} did not answer the follow-up within ${timeoutMs / 1000}s`
+      );
+      err.agent = agent;
+      throw err;
+    }
+    await sleep(intervalMs, signal);
+  }
+}
+
+async function cmdRefine(opts) {
+  const ids = await resolveTargets(opts);
+  if (ids.length !== 1) {
+    fatal(`refine works on one agent, but run "${opts.run}" has ${ids.length}; pick one with --task`);
+  }
+  const id = ids[0];
+
+  if (parseBool(opts.history)) {
+    output({ id, iterations: await readRefinements(id) });
+    return;
+  }
+
+  const apiKey = getApiKey();
+  const criteria = [
+    ...(opts.require || []).map((value) => parseCriterion("require", value)),
+    ...(opts.forbid || []).map((value) => parseCriterion("forbid", value)),
+  ];
+  const evaluator = opts.evaluator;
+  if (criteria.length === 0 && !evaluator) {
+    fatal("Give acceptance criteria with --require, --forbid and/or --evaluator");
+  }
+  const maxIterations = parseInt(opts["max-iterations"] || "3", 10);
+  if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+    fatal("--max-iterations must be a positive integer");
+  }
+  const intervalSec = parseInt(opts.interval || "30", 10);
+  const timeoutSec = parseInt(opts.timeout || "1800", 10);
+  const evaluatorTimeoutSec = parseInt(opts["evaluator-timeout"] || "300", 10);
+
+  const signal = interruptSignal();
+  const session = defaultRunName("refine");
+  const history = [];
+  let historyFile;
+  let agent;
+  let result;
+  let error = null;
+  // Conversation length before the last follow-up; 0 accepts the current turn
+  let since = 0;
+  // Set between a follow-up and the reply to it, when `agent` is out of date
+  let awaitingReply = false;
+
+  const record = async (entry) => {
+    history.push(entry);
+    historyFile = await appendRefinement(id, { session, ...entry });
+  };
+
+  for (let iteration = 1; ; iteration++) {
+    let turn;
+    try {
+      turn = await waitForTurn(apiKey, id, since, intervalSec * 1000, timeoutSec * 1000, signal);
+    } catch (err) {
+      if (err.code !== "ABORTED" && err.code !== "POLL_TIMEOUT") throw err;
+      agent = err.agent || agent;
+      result = err.code === "ABORTED" ? "interrupted" : "timeout";
+      error = err.code === "ABORTED" ? signal.reason : err;
+      if (err.code === "ABORTED") {
+        const current = { id, status: awaitingReply ? undefined : agent?.status };
+        await stopOnInterrupt(apiKey, [current], opts);
+        if (current.stoppedBy) agent = { ...agent, id, stoppedBy: current.stoppedBy };
+      }
+      break;
+    }
+    agent = turn.agent;
+    awaitingReply = false;
+
+    const entry = {
+      iteration,
+      at: new Date().toISOString(),
+      status: agent.status,
+      summary: agent.summary,
+      prUrl: agent.target?.prUrl,
+    };
+    if (agent.status !== "FINISHED") {
+      await record({ ...entry, pass: false });
+      result = "agent-" + agent.status.toLowerCase();
+      error = codedError("PARTIAL_FAILURE", `Agent ${id} ended ${agent.status} in iteration ${iteration}`);
+      break;
+    }
+
+    const replies = turn.turn.filter((m) => m.type === "assistant_message").map((m) => m.text || "");
+    const checks = checkCriteria([agent.summary || "", ...replies].join("\n"), criteria);
+    if (evaluator) {
+      try {
+        checks.push(
+          await runEvaluator(
+            evaluator,
+            {
+              iteration,
+              agent: {
+                id,
+                status: agent.status,
+                summary: agent.summary,
+                branch: agent.target?.branchName,
+                prUrl: agent.target?.prUrl,
+              },
+              messages: turn.turn,
+              conversation: turn.messages,
+            },
+            { timeoutMs: evaluatorTimeoutSec * 1000, signal }
+          )
+        );
+      } catch (err) {
+        await record({ ...entry, checks, pass: false, error: toErrorObject(err) });
+        result = err.code === "ABORTED" ? "interrupted" : "evaluator-error";
+        error = err.code === "ABORTED" ? signal.reason : err;
+        break;
+      }
+    }
+
+    const pass = checks.every((c) => c.pass);
+    if (pass) {
+      await record({ ...entry, checks, pass });
+      result = "passed";
+      break;
+    }
+    if (iteration >= maxIterations) {
+      await record({ ...entry, checks, pass });
+      result = "exhausted";
+      error = codedError(
+        "PARTIAL_FAILURE",
+        `Acceptance criteria still failing after ${maxIterations} iteration${maxIterations === 1 ? "" : "s"}`,
+        { failing: checks.filter((c) => !c.pass).map((c) => c.criterion) }
+      );
+      break;
+    }
+
+    // Not cancellable: the agent may have received it even if the response is lost
+    const followUp = buildFollowUpPrompt(checks);
+    since = turn.messages.length;
+    await addFollowUp(apiKey, id, followUp);
+    awaitingReply = true;
+    await record({ ...entry, checks, pass, followUp });
+  }
+
+  outputOutcome(
+    {
+      id,
+      result,
+      iterations: history.length,
+      maxIterations,
+      agent: agent && { ...agentFields(agent), stoppedBy: agent.stoppedBy },
+      history,
+      historyFile,
+    },
+    error
+  );
+}
+
+async function cmdStop(opts) {
+  const apiKey = getApiKey();
+  const ids = await resolveTargets(opts);
+  if (!opts.run) {
+    const result = await stopAgent(apiKey, ids[0]);
+    output({ success: true, id: result.id });
+    return;
+  }
+
+  const results = await forEachAgent(ids, (id) => stopAgent(apiKey, id));
+  outputOutcome(
+    {
+      success: results.every((r) => r.success),
+      run: opts.run,
+      agents: results.map(({ id, success, error }) => ({ id, success, error })),
+    },
+    partialFailure(results, "stops")
+  );
+}
+
+async function cmdDelete(opts) {
+  const apiKey = getApiKey();
+  const id = requireArg(opts, "id");
+  const result = await deleteAgent(apiKey, id);
+  output({ success: true, id: result.id });
+}
+
+/**
+ * Parse a point in time: an ISO date/time, or a relative age such as "30m",
+ * "12h", "7d" or "2w" (meaning that long ago).
+ * @param {string} value
+ * @param {string} flag — Option name, for the error message
+ * @returns {Date}
+ */
+function parseTime(value, flag) {
+  const relative = /^(\d+)([mhdw])$/.exec(value);
+  if (relative) {
+    const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 }[relative[2]];
+    return new Date(Date.now() - Number(relative[1]) * unitMs);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    fatal(`--${flag} must be a date/time or an age like 30m, 12h, 7d, got "${value}"`);
+  }
+  return new Date(ms);
+}
+
+/**
+ * Build iterateAgents() filters from --status, --repo, --since,
+ * --name-contains and --branch-prefix.
+ * @param {Record<string, string>} opts
+ * @returns {import("./cursor-api.mjs").AgentFilter}
+ */
+function agentFilters(opts) {
+  const filters = {};
+  if (opts.status) filters.status = opts.status.split(",").map((s) => s.trim()).filter(Boolean);
+  if (opts.repo) filters.repo = opts.repo;
+  if (opts.since) filters.since = parseTime(opts.since, "since");
+  if (opts["name-contains"]) filters.nameContains = opts["name-contains"];
+  if (opts["branch-prefix"]) filters.branchPrefix = opts["branch-prefix"];
+  return filters;
+}
+
+async function cmdList(opts) {
+  const apiKey = getApiKey();
+  const filters = agentFilters(opts);
+
+  if (parseBool(opts.all)) {
+    const pageSize = parseInt(opts.limit || "100", 10);
+    const agents = [];
+    for await (const agent of iterateAgents(apiKey, { pageSize, cursor: opts.cursor, ...filters })) {
+      agents.push(agent);
+    }
+    output({ agents, count: agents.length });
+    return;
   }
 
+  const limit = parseInt(opts.limit || "20", 10);
+  const cursor = opts.cursor;
+  const result = await listAgents(apiKey, limit, cursor);
+  // Filters only see this page; use --all to search every page
   output({
-    summary: statusCounts,
-    agents: results.map((a) => ({
-      id: a.id,
-      name: a.name,
-      status: a.status,
-      branch: a.target?.branchName,
-      url: a.target?.url,
-      prUrl: a.target?.prUrl,
-      summary: a.summary,
-    })),
+    ...result,
+    agents: (result.agents || []).filter((agent) => matchesAgentFilter(agent, filters)),
+  });
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results are returned in input order, as Promise.allSettled entries.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<PromiseSettledResult<R>[]>}
+ */
+async function settleWithConcurrency(items, limit, fn) {
+  const settled = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        settled[i] = { status: "fulfilled", value: await fn(items[i]) };
+      } catch (reason) {
+        settled[i] = { status: "rejected", reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return settled;
+}
+
+/**
+ * Stop and/or delete agents selected by status, age, repo or run.
+ * Without --confirm this only reports what would be done.
+ */
+async function cmdCleanup(opts) {
+  const apiKey = getApiKey();
+  const action = opts.action || "delete";
+  if (action !== "delete" && action !== "stop") {
+    fatal(`Unknown --action "${action}". Use delete or stop.`);
+  }
+  const concurrency = parseInt(opts.concurrency || "5", 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    fatal(`--concurrency must be a positive integer, got "${opts.concurrency}"`);
+  }
+  const confirm = parseBool(opts.confirm) === true;
+
+  // Only finished agents are selected unless --status says otherwise
+  const filters = agentFilters({
+    ...opts,
+    status: opts.status || (action === "stop" ? "CREATING,RUNNING" : "FINISHED,STOPPED,FAILED"),
+  });
+  if (opts["older-than"]) filters.before = parseTime(opts["older-than"], "older-than");
+  const runIds = opts.run ? new Set(await resolveIds(opts)) : null;
+
+  const selected = [];
+  for await (const agent of iterateAgents(apiKey, filters)) {
+    if (!runIds || runIds.has(agent.id)) selected.push(agent);
+  }
+
+  // Active agents are stopped before they are deleted
+  const plan = selected
+    .map((agent) => {
+      const active = !isTerminalStatus(agent.status);
+      const steps = action === "stop" ? (active ? ["stop"] : []) : active ? ["stop", "delete"] : ["delete"];
+      return {
+        id: agent.id,
+        name: agent.name,
+        status: agent.status,
+        repo: agent.source?.repository,
+        branch: agent.target?.branchName,
+        createdAt: agent.createdAt,
+        steps,
+      };
+    })
+    .filter((entry) => entry.steps.length > 0);
+
+  if (!confirm) {
+    output({
+      dryRun: true,
+      action,
+      summary: { selected: plan.length },
+      agents: plan,
+      hint: "Nothing was changed. Re-run with --confirm to apply.",
+    });
+    return;
+  }
+
+  // Steps completed per agent, so a stop that worked before a failed delete is still reported
+  const done = new Map(plan.map((entry) => [entry.id, []]));
+  audit({ type: "decision", action, reason: "cleanup", agentIds: plan.map((entry) => entry.id) });
+  const settled = await settleWithConcurrency(plan, concurrency, async (entry) => {
+    if (entry.steps.includes("stop")) {
+      await stopAgent(apiKey, entry.id);
+      done.get(entry.id).push("stop");
+    }
+    if (entry.steps.includes("delete")) {
+      await deleteAgent(apiKey, entry.id);
+      done.get(entry.id).push("delete");
+    }
+  });
+  const results = plan.map((entry, i) =>
+    settled[i].status === "fulfilled"
+      ? { id: entry.id, success: true }
+      : { id: entry.id, success: false, error: toErrorObject(settled[i].reason) }
+  );
+  const stopped = plan.filter((e) => done.get(e.id).includes("stop")).map((e) => e.id);
+  const deleted = plan.filter((e) => done.get(e.id).includes("delete")).map((e) => e.id);
+  const failed = results.filter((r) => !r.success).map(({ id, error }) => ({ id, error }));
+
+  outputOutcome(
+    {
+      dryRun: false,
+      action,
+      summary: {
+        selected: plan.length,
+        stopped: stopped.length,
+        deleted: deleted.length,
+        failed: failed.length,
+      },
+      stopped,
+      deleted,
+      failed,
+    },
+    partialFailure(results, "agents")
+  );
+}
+
+async function cmdModels() {
+  const apiKey = getApiKey();
+  const result = await listModels(apiKey);
+  output(result);
+}
+
+async function cmdRepos(opts) {
+  const apiKey = getApiKey();
+  const refresh = parseBool(opts.refresh);
+
+  // Serve from cache while the 1/min, 30/hour window is closed
+  const waitMs = await rateLimiter.waitTime("repositories");
+  const cache = await readCache("repositories");
+  if (!refresh && waitMs > 0 && cache) {
+    output({
+      ...cache.data,
+      cached: true,
+      cachedAt: cache.cachedAt,
+      nextRefreshInSec: Math.ceil(waitMs / 1000),
+    });
+    return;
+  }
+
+  const result = await listRepositories(apiKey);
+  await writeCache("repositories", result);
+  output(result);
+}
+
+/**
+ * Wait for agents to reach a terminal state using events recorded by
+ * `serve-webhooks` instead of repeated GETs. Each agent's current status is
+ * fetched once up front (it may already be done); after that only events
+ * arriving during this wait count, so a stale FINISHED from before a follow-up
+ * is ignored. Anything still pending at the deadline gets one final GET.
+ * @param {string} apiKey
+ * @param {string[]} ids
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal] — Ends the wait early, skipping the final GETs
+ * @returns {Promise<object[]>} Agent-shaped objects, in `ids` order, with `statusAt`
+ *   (the event's timestamp, or when the GET that returned the status was made)
+ */
+async function waitForWebhookEvents(apiKey, ids, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  let offset = await webhookEventsOffset();
+  const results = new Map();
+  // Last known state of agents that have not finished, for an interrupted wait
+  const latest = new Map();
+
+  const initial = await Promise.allSettled(ids.map((id) => getAgent(apiKey, id, { signal })));
+  const checkedAt = new Date().toISOString();
+  initial.forEach((check, i) => {
+    if (check.status !== "fulfilled") return;
+    if (isTerminalStatus(check.value.status)) results.set(ids[i], { ...check.value, statusAt: checkedAt });
+    else latest.set(ids[i], check.value);
   });
+
+  const wanted = new Set(ids);
+  while (results.size < ids.length && Date.now() < deadline && !signal?.aborted) {
+    try {
+      await sleep(1000, signal);
+    } catch {
+      break;
+    }
+    const read = await readWebhookEvents(offset);
+    offset = read.offset;
+    for (const event of read.events) {
+      if (!wanted.has(event.id) || !isTerminalStatus(event.status)) continue;
+      results.set(event.id, {
+        id: event.id,
+        status: event.status,
+        summary: event.summary,
+        target: { branchName: event.branch, url: event.url, prUrl: event.prUrl },
+        source: { repository: event.repository, ref: event.ref },
+        statusAt: event.timestamp,
+      });
+    }
+  }
+
+  const stillPending = ids.filter((id) => !results.has(id));
+  if (!signal?.aborted) {
+    const finalChecks = await Promise.allSettled(stillPending.map((id) => getAgent(apiKey, id)));
+    const finalAt = new Date().toISOString();
+    finalChecks.forEach((check, i) => {
+      if (check.status === "fulfilled") results.set(stillPending[i], { ...check.value, statusAt: finalAt });
+    });
+  }
+
+  return ids.map((id) => results.get(id) || latest.get(id) || { id, status: "UNKNOWN" });
+}
+
+/**
+ * Poll agents through watchAgents so fail-fast can react mid-wait.
+ * @param {string} apiKey
+ * @param {string[]} ids
+ * @param {number} intervalMs
+ * @param {number} timeoutMs
+ * @param {{failFast: boolean, onTimeout: string}} policy
+ * @param {AbortSignal} [signal] — Ends the wait early with the states seen so far
+ * @returns {Promise<object[]>} Agents in `ids` order, with `statusAt` (when the
+ *   status was first seen); ones this call stopped carry `stoppedBy`
+ */
+async function pollWithPolicy(apiKey, ids, intervalMs, timeoutMs, policy, signal) {
+  const latest = new Map();
+  const statusAt = new Map();
+  const stoppedBy = new Map();
+
+  try {
+    for await (const event of watchAgents(apiKey, ids, intervalMs, timeoutMs, { signal })) {
+      if (event.type === "change") {
+        latest.set(event.id, event.agent);
+        if (event.changed.includes("status")) statusAt.set(event.id, event.at);
+        if (policy.failFast && event.agent.status === "FAILED") {
+          const siblings = ids.filter((id) => !isTerminalStatus(latest.get(id)?.status));
+          for (const id of await stopAgents(apiKey, siblings, "fail-fast")) {
+            stoppedBy.set(id, "fail-fast");
+          }
+          break;
+        }
+      } else if (event.type === "timeout" && policy.onTimeout === "stop") {
+        for (const id of await stopAgents(apiKey, event.pending, "timeout")) {
+          stoppedBy.set(id, "timeout");
+        }
+      }
+    }
+  } catch (err) {
+    if (err.code !== "ABORTED") throw err;
+  }
+
+  return ids.map((id) => ({
+    ...(latest.get(id) || { id, status: "UNKNOWN" }),
+    statusAt: statusAt.get(id),
+    stoppedBy: stoppedBy.get(id),
+  }));
+}
+
+async function cmdPoll(opts) {
+  const ids = await resolveIds(opts);
+  const apiKey = getApiKey();
+
+  const intervalSec = parseInt(opts.interval || "30", 10);
+  const timeoutSec = parseInt(opts.timeout || "1800", 10);
+  const policy = parseWaitPolicy(opts);
+  const viaWebhook = parseBool(opts["via-webhook"]);
+  if (viaWebhook && policy.failFast) fatal("--fail-fast cannot be used with --via-webhook");
+  const signal = interruptSignal();
+
+  let results;
+  if (viaWebhook) {
+    results = await waitForWebhookEvents(apiKey, ids, timeoutSec * 1000, signal);
+    const pending = results.filter((a) => !isTerminalStatus(a.status)).map((a) => a.id);
+    if (policy.onTimeout === "stop" && pending.length > 0 && !signal.aborted) {
+      const stopped = await stopAgents(apiKey, pending, "timeout");
+      results = results.map((a) => (stopped.has(a.id) ? { ...a, stoppedBy: "timeout" } : a));
+    }
+  } else {
+    results = await pollWithPolicy(apiKey, ids, intervalSec * 1000, timeoutSec * 1000, policy, signal);
+  }
+  if (signal.aborted) await stopOnInterrupt(apiKey, results, opts);
+  const warning = await recordFinishes(
+    results.map((a) => ({ id: a.id, status: a.status, at: a.statusAt, prUrl: a.target?.prUrl, summary: a.summary }))
+  );
+
+  const statusCounts = {};
+  for (const a of results) {
+    const s = a.status || "UNKNOWN";
+    statusCounts[s] = (statusCounts[s] || 0) + 1;
+  }
+  const outcome = classifyOutcome(results, signal.aborted);
+
+  outputOutcome(
+    {
+      summary: statusCounts,
+      outcome,
+      run: opts.run,
+      warning,
+      agents: results.map((a) => ({
+        id: a.id,
+        name: a.name,
+        status: a.status,
+        stoppedBy: a.stoppedBy,
+        branch: a.target?.branchName,
+        url: a.target?.url,
+        prUrl: a.target?.prUrl,
+        summary: a.summary,
+      })),
+    },
+    signal.aborted ? signal.reason : waitError(results, outcome, policy)
+  );
+}
+
+/**
+ * Render the current state of watched agents as a fixed-width text table.
+ * @param {string[]} ids
+ * @param {Map<string, object>} latest — Agent ID → last change event
+ * @returns {string}
+ */
+function renderWatchTable(ids, latest) {
+  const clip = (text, width) => {
+    const value = String(text ?? "").replace(/\s+/g, " ");
+    return value.length > width ? `${value.slice(0, width - 1)}…` : value.padEnd(width);
+  };
+  const lines = [
+    `${clip("AGENT", 24)}  ${clip("STATUS", 10)}  ${clip("PR", 44)}  SUMMARY`,
+  ];
+  for (const id of ids) {
+    const event = latest.get(id);
+    lines.push(
+      [
+        clip(id, 24),
+        clip(event?.status || "…", 10),
+        clip(event?.prUrl || "", 44),
+        clip(event?.summary || event?.error || "", 60).trimEnd(),
+      ].join("  ")
+    );
+  }
+  return lines.join("\n");
+}
+
+async function cmdWatch(opts) {
+  const ids = await resolveIds(opts);
+  const apiKey = getApiKey();
+
+  const intervalSec = parseInt(opts.interval || "30", 10);
+  const timeoutSec = parseInt(opts.timeout || "1800", 10);
+  const until = opts.until || "all";
+  if (until !== "all" && until !== "first") {
+    fatal('--until must be "all" or "first"');
+  }
+  const table = parseBool(opts.table);
+  const signal = interruptSignal();
+
+  const latest = new Map();
+  try {
+    await streamWatch(apiKey, ids, intervalSec * 1000, timeoutSec * 1000, { until, table, latest, signal });
+  } catch (err) {
+    if (err.code !== "ABORTED") throw err;
+    const results = ids.map((id) => ({ id, status: latest.get(id)?.status }));
+    await stopOnInterrupt(apiKey, results, opts);
+    const pending = results.filter((r) => !isTerminalStatus(r.status)).map((r) => r.id);
+    const stopped = results.filter((r) => r.stoppedBy).map((r) => r.id);
+    if (table) {
+      const stoppedNote = stopped.length > 0 ? `; stopped: ${stopped.join(", ")}` : "";
+      console.log(`\nInterrupted; still pending: ${pending.join(", ") || "none"}${stoppedNote}`);
+    } else {
+      console.log(JSON.stringify({ type: "interrupted", at: new Date().toISOString(), pending, stopped }));
+    }
+    process.exitCode = exitCodeFor("ABORTED");
+  }
+}
+
+/**
+ * Print watch events (NDJSON lines or a redrawn table) until the watch ends.
+ * @param {string} apiKey
+ * @param {string[]} ids
+ * @param {number} intervalMs
+ * @param {number} timeoutMs
+ * @param {object} options
+ * @param {"all"|"first"} options.until
+ * @param {boolean} options.table
+ * @param {Map<string, object>} options.latest — Filled with the last change per agent
+ * @param {AbortSignal} options.signal
+ */
+async function streamWatch(apiKey, ids, intervalMs, timeoutMs, { until, table, latest, signal }) {
+  for await (const event of watchAgents(apiKey, ids, intervalMs, timeoutMs, { signal })) {
+    const line =
+      event.type === "change"
+        ? {
+            type: event.type,
+            at: event.at,
+            id: event.id,
+            name: event.agent.name,
+            status: event.agent.status,
+            previousStatus: event.previousStatus,
+            changed: event.changed,
+            branch: event.agent.target?.branchName,
+            prUrl: event.agent.target?.prUrl,
+            summary: event.agent.summary,
+          }
+        : event;
+
+    if (line.id) latest.set(line.id, { ...latest.get(line.id), ...line });
+
+    if (table) {
+      // Redraw in place on a terminal; append snapshots when piped
+      if (process.stdout.isTTY) process.stdout.write("\x1b[2J\x1b[H");
+      console.log(renderWatchTable(ids, latest));
+      if (event.type === "done" || event.type === "timeout") {
+        console.log(`\n${event.type === "done" ? "All agents finished." : `Timed out; still pending: ${event.pending.join(", ")}`}`);
+      }
+    } else {
+      console.log(JSON.stringify(line));
+    }
+
+    if (until === "first" && event.type === "change" && isTerminalStatus(line.status)) {
+      break;
+    }
+  }
 }
 
 async function cmdWhoami() {
   const apiKey = getApiKey();
   const info = await getApiKeyInfo(apiKey);
-  output(info);
+  output({
+    ...info,
+    config: {
+      profile: config.profile,
+      profileSource: config.profileSource,
+      sources: config.sources,
+      warnings: config.warnings.length > 0 ? config.warnings : undefined,
+    },
+  });
+}
+
+async function cmdServeWebhooks(opts) {
+  // Launches send the config's webhookSecret, so deliveries are checked with it
+  // too. The config is only read when neither the flag nor the env var is set.
+  const secret =
+    opts.secret ||
+    process.env.CURSOR_WEBHOOK_SECRET ||
+    (await resolveConfig({ profile: opts.profile })).webhookSecret;
+  if (!secret) {
+    fatal(
+      `Missing webhook secret: pass --secret, set CURSOR_WEBHOOK_SECRET, or add "webhookSecret" to ${PROJECT_CONFIG_FILE} ` +
+        "or ~/.cursor-team/config.json"
+    );
+  }
+  const host = opts.host || "127.0.0.1";
+  const port = parseInt(opts.port || "8787", 10);
+  const path = opts.path || "/";
+
+  const server = createWebhookServer({
+    secret,
+    path,
+    onEvent: async (event) => {
+      await appendWebhookEvent(event);
+      const runs = await recordAgentStatus(event.id, {
+        status: event.status,
+        prUrl: event.prUrl,
+        summary: event.summary,
+        at: event.timestamp,
+      });
+      // One NDJSON line per event so a supervising process can stream them
+      console.log(JSON.stringify({ event: event.event, id: event.id, status: event.status, runs }));
+    },
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(JSON.stringify({ listening: `http://${host}:${server.address().port}${path}` }));
+
+  // Serve until interrupted
+  await new Promise((resolve) => {
+    const shutdown = () => server.close(resolve);
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  });
+}
+
+async function cmdMockServer(opts) {
+  const host = opts.host || "127.0.0.1";
+  const port = parseInt(opts.port || "8788", 10);
+
+  let scenario = {};
+  if (opts.scenario) {
+    try {
+      scenario = JSON.parse(await readFile(opts.scenario, "utf8"));
+    } catch (err) {
+      fatal(`Cannot load --scenario ${opts.scenario}: ${err.message}`);
+    }
+  }
+
+  const server = createMockServer({
+    scenario,
+    apiKey: opts["api-key"],
+    // One NDJSON line per request, like serve-webhooks
+    onRequest: (entry) => console.log(JSON.stringify(entry)),
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const baseUrl = `http://${host}:${server.address().port}`;
+  console.log(JSON.stringify({ listening: baseUrl, env: { CURSOR_API_BASE_URL: baseUrl } }));
+
+  // Serve until interrupted
+  await new Promise((resolve) => {
+    const shutdown = () => server.close(resolve);
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  });
+}
+
+async function cmdRuns(opts) {
+  if (opts.run) {
+    output(await loadRun(opts.run));
+    return;
+  }
+  output({ runs: await listRuns() });
+}
+
+/**
+ * Query the audit log, oldest first. --id matches entries about that agent;
+ * --run matches entries made for the run or about any of its agents.
+ * @param {Record<string, string>} opts
+ */
+async function cmdAudit(opts) {
+  const since = opts.since ? parseTime(opts.since, "since") : null;
+  const until = opts.until ? parseTime(opts.until, "until") : null;
+  const types = opts.type ? opts.type.split(",").map((t) => t.trim()).filter(Boolean) : null;
+  const destructive = parseBool(opts.destructive);
+  const limit = parseInt(opts.limit || "100", 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    fatal("--limit must be a positive integer");
+  }
+
+  const agentIds = new Set(opts.id ? [opts.id] : []);
+  if (opts.run && (await runExists(opts.run))) {
+    for (const agent of (await loadRun(opts.run)).agents) {
+      if (agent.id) agentIds.add(agent.id);
+    }
+  }
+  const concerns = (entry) =>
+    agentIds.has(entry.agentId) || (entry.agentIds || []).some((id) => agentIds.has(id));
+
+  const entries = (await readAuditLog()).filter((entry) => {
+    const at = new Date(entry.at);
+    if (since && at < since) return false;
+    if (until && at > until) return false;
+    if (types && !types.includes(entry.type)) return false;
+    if (destructive && !isDestructive(entry)) return false;
+    if (opts.id && !concerns(entry)) return false;
+    if (opts.run && entry.run !== opts.run && !concerns(entry)) return false;
+    return true;
+  });
+
+  output({
+    log: auditLogPath(),
+    count: Math.min(entries.length, limit),
+    total: entries.length,
+    entries: entries.slice(-limit),
+  });
+}
+
+/**
+ * Whether an audit entry stops or deletes agents: a stop or delete request,
+ * or the decision that led to one.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function isDestructive(entry) {
+  if (entry.type === "request") {
+    return entry.method === "DELETE" || /^\/v0\/agents\/[^/]+\/stop$/.test(entry.path);
+  }
+  return entry.type === "decision" && (entry.action === "stop" || entry.action === "delete");
 }
 
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
+// Commands that never need the API key or launch defaults, so a broken config
+// file cannot stop them. serve-webhooks reads the config itself when it has to.
+const CONFIG_FREE_COMMANDS = new Set(["runs", "audit", "serve-webhooks", "mock-server"]);
+
 const COMMANDS = {
   launch: cmdLaunch,
   team: cmdTeam,
+  pipeline: cmdPipeline,
   status: cmdStatus,
   "team-status": cmdTeamStatus,
+  report: cmdReport,
   conversation: cmdConversation,
   followup: cmdFollowup,
+  refine: cmdRefine,
   stop: cmdStop,
   delete: cmdDelete,
   list: cmdList,
+  cleanup: cmdCleanup,
+  prune: cmdCleanup,
   models: cmdModels,
   repos: cmdRepos,
   poll: cmdPoll,
+  watch: cmdWatch,
   whoami: cmdWhoami,
+  runs: cmdRuns,
+  audit: cmdAudit,
+  "serve-webhooks": cmdServeWebhooks,
+  "mock-server": cmdMockServer,
 };
 
 async function main() {
@@ -416,10 +2736,45 @@ async function main() {
 
   const opts = parseArgs(args.slice(1));
 
+  // Querying the log is not itself logged
+  if (command !== "audit") {
+    const startedAt = Date.now();
+    auditContext.command = command;
+    auditContext.run = opts.run;
+    audit({ type: "command", options: auditOptions(opts) });
+    process.on("exit", (exitCode) => audit({ type: "exit", exitCode, durationMs: Date.now() - startedAt }));
+    configure({ onRequest: auditRequest });
+  }
+
+  if (opts.retries !== undefined) {
+    const retries = parseInt(opts.retries, 10);
+    if (!Number.isInteger(retries) || retries < 0) {
+      fatal("--retries must be a non-negative integer");
+    }
+    configure({ retry: { retries } });
+  }
+
+  if (opts["base-url"] !== undefined) {
+    configure({ baseUrl: opts["base-url"] });
+  }
+
+  if (parseBool(opts["validate-responses"])) {
+    configure({ validateResponses: true });
+  }
+
+  if (opts["request-timeout"] !== undefined) {
+    const seconds = Number(opts["request-timeout"]);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      fatal("--request-timeout must be a non-negative number of seconds");
+    }
+    configure({ timeoutMs: seconds * 1000 });
+  }
+
   try {
+    if (!CONFIG_FREE_COMMANDS.has(command)) config = await resolveConfig({ profile: opts.profile });
     await handler(opts);
   } catch (err) {
-    fatal(err.message);
+    fatal(err);
   }
 }
 
@@ -0,0 +1,163 @@
+/**
+ * Machine-readable error schema shared by the API client and the CLI.
+ *
+ * Every error the CLI reports is an object of this shape:
+ *
+ *   {
+ *     code:       "RATE_LIMITED",     // stable identifier, see ERROR_CODES
+ *     message:    "Rate limit exceeded: ...",
+ *     httpStatus: 429,                // null when no HTTP response was involved
+ *     retryable:  true,               // whether retrying later may succeed
+ *     retries:    3,                  // retries already made by the client
+ *     hint:       "Wait and retry with a longer --interval.",
+ *     details:    { ... }             // code-specific extra data, or null
+ *   }
+ *
+ * Each code maps to a distinct process exit code so wrapper scripts can branch
+ * without parsing messages.
+ */
+
+/**
+ * @typedef {object} ErrorCodeInfo
+ * @property {number} exitCode
+ * @property {boolean} retryable
+ * @property {string} hint
+ */
+
+/** @type {Record<string, ErrorCodeInfo>} */
+export const ERROR_CODES = {
+  INTERNAL: {
+    exitCode: 1,
+    retryable: false,
+    hint: "Unexpected error. Re-run with the same arguments and report it if it persists.",
+  },
+  PARTIAL_FAILURE: {
+    exitCode: 2,
+    retryable: false,
+    hint: "Some agents failed or could not be launched. See details and per-agent results.",
+  },
+  POLL_TIMEOUT: {
+    exitCode: 3,
+    retryable: true,
+    hint: "Agents are still running. Poll again later, or use --on-timeout stop.",
+  },
+  INVALID_ARGUMENT: {
+    exitCode: 4,
+    retryable: false,
+    hint: "Fix the command-line arguments and try again.",
+  },
+  AUTH_FAILED: {
+    exitCode: 5,
+    retryable: false,
+    hint: "Set CURSOR_API_KEY to a valid key from Cursor Dashboard → Settings → API Keys.",
+  },
+  FORBIDDEN: {
+    exitCode: 6,
+    retryable: false,
+    hint: "Install the Cursor GitHub App on the repository, or check the key's permissions.",
+  },
+  NOT_FOUND: {
+    exitCode: 7,
+    retryable: false,
+    hint: "Check the agent ID or run name; the agent may have been deleted.",
+  },
+  RATE_LIMITED: {
+    exitCode: 8,
+    retryable: true,
+    hint: "Wait and retry with a longer --interval.",
+  },
+  SERVER_ERROR: {
+    exitCode: 9,
+    retryable: true,
+    hint: "Cursor returned a server error. Retry later.",
+  },
+  NETWORK_ERROR: {
+    exitCode: 10,
+    retryable: true,
+    hint: "Could not reach the Cursor API. Check connectivity and retry.",
+  },
+  API_ERROR: {
+    exitCode: 11,
+    retryable: false,
+    hint: "The API rejected the request. See message and details.",
+  },
+  INVALID_RESPONSE: {
+    exitCode: 12,
+    retryable: false,
+    hint: "The API returned data in an unexpected shape. See details.field; update cursor-coding-team or turn off response validation.",
+  },
+  // 128 + SIGINT, the status shells expect after Ctrl-C
+  ABORTED: {
+    exitCode: 130,
+    retryable: true,
+    hint: "Interrupted before finishing. Results collected so far are included; re-run to resume waiting.",
+  },
+};
+
+/**
+ * Map an HTTP status to an error code.
+ * @param {number} status
+ * @returns {string}
+ */
+export function codeForStatus(status) {
+  if (status === 401) return "AUTH_FAILED";
+  if (status === 403) return "FORBIDDEN";
+  if (status === 404) return "NOT_FOUND";
+  if (status === 429) return "RATE_LIMITED";
+  if (status >= 500) return "SERVER_ERROR";
+  return "API_ERROR";
+}
+
+/**
+ * Create an Error carrying a schema code, for failures raised outside request().
+ * @param {string} code      — Key of ERROR_CODES
+ * @param {string} message
+ * @param {object} [details]
+ * @returns {Error}
+ */
+export function codedError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+/**
+ * Convert any thrown value into the documented error object.
+ * Codes not in ERROR_CODES (e.g. Node's ENOENT) are reported as INTERNAL.
+ * @param {unknown} err
+ * @returns {ErrorObject}
+ */
+export function toErrorObject(err) {
+  const code = ERROR_CODES[err?.code] ? err.code : "INTERNAL";
+  const info = ERROR_CODES[code];
+  return {
+    code,
+    message: err?.message || String(err),
+    httpStatus: err?.status ?? null,
+    retryable: err?.retryable ?? info.retryable,
+    retries: err?.retries ?? 0,
+    hint: info.hint,
+    details: err?.details ?? err?.body ?? null,
+  };
+}
+
+/**
+ * Process exit code for an error code.
+ * @param {string} code
+ * @returns {number}
+ */
+export function exitCodeFor(code) {
+  return (ERROR_CODES[code] || ERROR_CODES.INTERNAL).exitCode;
+}
+
+/**
+ * @typedef {object} ErrorObject
+ * @property {string} code
+ * @property {string} message
+ * @property {number|null} httpStatus
+ * @property {boolean} retryable
+ * @property {number} retries
+ * @property {string} hint
+ * @property {any} details
+ */
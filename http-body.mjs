@@ -0,0 +1,50 @@
+/**
+ * Request handling shared by the local HTTP servers (the webhook receiver and
+ * the mock API): reading a body with a size cap, and keeping a failed handler
+ * from taking the whole process down.
+ */
+
+/**
+ * Read a request body.
+ * Rejects if the client disconnects before the body is complete.
+ * @param {import("node:http").IncomingMessage} req
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=Infinity]
+ * @returns {Promise<Buffer|null>} The body, or null once it grows past `maxBytes`
+ */
+export async function readBody(req, { maxBytes = Infinity } = {}) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Turn an async request handler into a `createServer` listener. A rejected
+ * handler — most often readBody() after the client disconnected — would
+ * otherwise be an unhandled rejection that ends the process, so any client
+ * could stop the server. Instead the request gets `errorReply(err)` as JSON,
+ * or the connection is closed if a reply is already under way or the client
+ * has gone.
+ * @param {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => Promise<void>} handler
+ * @param {(err: Error) => [number, object]} errorReply — Status and JSON body
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => void}
+ */
+export function guardHandler(handler, errorReply) {
+  return (req, res) => {
+    handler(req, res).catch((err) => {
+      // A fully read request is destroyed too, so check the connection instead
+      if (res.headersSent || req.socket.destroyed) {
+        res.destroy();
+        return;
+      }
+      const [status, body] = errorReply(err);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Prompt images: screenshots and mockups attached to launches and follow-ups.
+ *
+ * Each file is read from disk, checked against the limits below, and turned
+ * into the API's `{data, dimension: {width, height}}` shape, with the size
+ * taken from the PNG, JPEG or WebP header. Everything is validated before a
+ * request is sent, so a bad path never leaves a team half-launched.
+ */
+
+import { readFile, stat } from "node:fs/promises";
+import { resolve } from "node:path";
+import { codedError } from "./errors.mjs";
+
+/** Images per prompt */
+export const MAX_PROMPT_IMAGES = 5;
+
+/** Bytes per image file, before base64 encoding */
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers carry the image size; C4 (DHT), C8 (JPG) and
+// CC (DAC) share the range but are not frames
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+// ─── Header Parsing ───────────────────────────────────────────────────────────
+
+/**
+ * Read an image's format and pixel size from its header.
+ * @param {Buffer} buffer
+ * @returns {{format: "png"|"jpeg"|"webp", width: number, height: number} | null}
+ *   Null if the format is not recognised or the header is truncated
+ */
+export function imageDimensions(buffer) {
+  if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    // The first chunk is always IHDR: width and height as big-endian uint32
+    if (buffer.toString("ascii", 12, 16) !== "IHDR") return null;
+    return { format: "png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpegDimensions(buffer);
+  }
+  if (
+    buffer.length >= 16 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return webpDimensions(buffer);
+  }
+  return null;
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Fill bytes and standalone markers have no length field
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { format: "jpeg", width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    // Lossy: 14-bit sizes after the 3-byte frame tag and start code
+    return {
+      format: "webp",
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    // Lossless: 14-bit width-1 and height-1 packed after the 0x2f signature
+    const bits = buffer.readUInt32LE(21);
+    return { format: "webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    // Extended: 24-bit canvas width-1 and height-1
+    return { format: "webp", width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Read one image file into the API's prompt image shape.
+ * @param {string} path
+ * @returns {Promise<PromptImage>}
+ */
+export async function loadImage(path) {
+  let size;
+  try {
+    size = (await stat(path)).size;
+  } catch (err) {
+    throw codedError("INVALID_ARGUMENT", `Cannot read image ${path} (${err.code || err.message})`, { path });
+  }
+  if (size > MAX_IMAGE_BYTES) {
+    throw codedError(
+      "INVALID_ARGUMENT",
+      `Image ${path} is ${formatMB(size)}; the limit is ${formatMB(MAX_IMAGE_BYTES)}`,
+      { path, bytes: size }
+    );
+  }
+
+  const buffer = await readFile(path);
+  const info = imageDimensions(buffer);
+  if (!info) {
+    throw codedError("INVALID_ARGUMENT", `Image ${path} is not a PNG, JPEG or WebP file`, { path });
+  }
+  if (info.width === 0 || info.height === 0) {
+    throw codedError("INVALID_ARGUMENT", `Image ${path} has an empty ${info.width}x${info.height} size`, { path });
+  }
+  return {
+    data: buffer.toString("base64"),
+    dimension: { width: info.width, height: info.height },
+  };
+}
+
+/**
+ * Load the images for one prompt, relative to `baseDir`.
+ * @param {string[]} [paths=[]]
+ * @param {object} [options]
+ * @param {string} [options.baseDir=process.cwd()]
+ * @param {string} [options.source="--image"]  — What the images are for, in error messages
+ * @returns {Promise<PromptImage[]>}
+ */
+export async function loadImages(paths = [], { baseDir = process.cwd(), source = "--image" } = {}) {
+  checkImageCount(paths.length, source);
+  const images = [];
+  for (const path of paths) {
+    images.push(await loadImage(resolve(baseDir, path)));
+  }
+  return images;
+}
+
+/**
+ * Reject more images than one prompt accepts.
+ * @param {number} count
+ * @param {string} source — What the images are for, e.g. "--image" or "task \"ui\""
+ */
+export function checkImageCount(count, source) {
+  if (count > MAX_PROMPT_IMAGES) {
+    throw codedError(
+      "INVALID_ARGUMENT",
+      `Too many images for ${source}: ${count} (a prompt accepts at most ${MAX_PROMPT_IMAGES})`,
+      { count, max: MAX_PROMPT_IMAGES }
+    );
+  }
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * @typedef {import("./cursor-api.mjs").PromptImage} PromptImage
+ */
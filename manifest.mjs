@@ -0,0 +1,550 @@
+/**
+ * Team manifests: a reviewable file describing a team launch.
+ *
+ *   repo: https://github.com/owner/repo
+ *   ref: main
+ *   model: auto
+ *   autoPr: true
+ *   branchPrefix: feature/
+ *   vars:
+ *     ticket: ENG-123
+ *   tasks:
+ *     - name: auth
+ *       promptFile: prompts/auth.md
+ *       images: [mockups/login.png]
+ *     - name: tests
+ *       dependsOn: [auth]
+ *       repo: https://github.com/owner/e2e   # per-task repo/ref override
+ *       prompt: |
+ *         Write tests for ${ticket}.
+ *
+ * Manifests are YAML (`.yaml`/`.yml`) or JSON. The YAML reader supports the
+ * subset manifests need: block maps and sequences, `|`/`>` block scalars,
+ * flow `[a, b]` / `{k: v}` collections, quoted strings and comments. Anchors,
+ * tags and multi-document files are not supported.
+ */
+
+import { readFile } from "node:fs/promises";
+import { dirname, extname, resolve } from "node:path";
+import { codedError } from "./errors.mjs";
+import { loadImages } from "./images.mjs";
+
+const MANIFEST_FIELDS = {
+  repo: "string",
+  ref: "string",
+  model: "string",
+  autoPr: "boolean",
+  branchPrefix: "string",
+  webhook: "object",
+  vars: "object",
+  tasks: "array",
+};
+
+const WEBHOOK_FIELDS = { url: "string", secret: "string" };
+
+const TASK_FIELDS = {
+  name: "string",
+  repo: "string",
+  ref: "string",
+  prompt: "string",
+  promptFile: "string",
+  model: "string",
+  branch: "string",
+  autoPr: "boolean",
+  dependsOn: "array",
+  images: "array",
+};
+
+// `${name}`, or `$${name}` for a literal `${name}`
+const VAR_PATTERN = /(\$?)\$\{([A-Za-z_][A-Za-z0-9_.-]*)\}/g;
+
+// ─── YAML Subset ──────────────────────────────────────────────────────────────
+
+/**
+ * Parse the YAML subset described above.
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseYaml(text) {
+  const p = { lines: text.replace(/\r\n?/g, "\n").split("\n"), pos: 0 };
+  const first = nextLine(p);
+  if (!first) return null;
+  if (first.text === "---") {
+    p.pos++;
+    if (!nextLine(p)) return null;
+  }
+  const value = parseNode(p, nextLine(p).indent);
+  const rest = nextLine(p);
+  if (rest) yamlError(rest, "Unexpected content (check indentation)");
+  return value;
+}
+
+function yamlError(line, message) {
+  throw codedError("INVALID_ARGUMENT", `line ${line.number}: ${message}`, {
+    line: line.number,
+  });
+}
+
+/**
+ * Peek at the next line with content, skipping blanks and comments.
+ * @returns {{indent: number, text: string, number: number} | null}
+ */
+function nextLine(p) {
+  while (p.pos < p.lines.length) {
+    const raw = p.lines[p.pos];
+    const indentMatch = raw.match(/^[ \t]*/)[0];
+    const text = stripComment(raw.slice(indentMatch.length)).trimEnd();
+    if (text === "") {
+      p.pos++;
+      continue;
+    }
+    const line = { indent: indentMatch.length, text, number: p.pos + 1 };
+    if (indentMatch.includes("\t")) yamlError(line, "Tabs are not allowed for indentation");
+    return line;
+  }
+  return null;
+}
+
+// What may come right before a quoted scalar: the start of the line, a
+// sequence dash, "key:", or a flow collection's "[", "{" or ","
+const SCALAR_START = /(?:^|^(?:-\s+)*-|:|[[{,])$/;
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\" && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if ((ch === '"' || ch === "'") && SCALAR_START.test(text.slice(0, i).trimEnd())) {
+      // Only a quote that opens a scalar starts a string; the apostrophe in
+      // "it's" is just a character
+      quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function isSeqItem(text) {
+  return text === "-" || text.startsWith("- ");
+}
+
+function splitKey(line) {
+  const match = line.text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (!match) return null;
+  return { key: String(parseScalar(match[1], line)), rest: match[2] ?? "" };
+}
+
+function parseNode(p, indent) {
+  const line = nextLine(p);
+  if (isSeqItem(line.text)) return parseSeq(p, indent);
+  if (splitKey(line)) return parseMap(p, indent);
+  p.pos++;
+  return parseInline(line.text, line);
+}
+
+function parseMap(p, indent) {
+  const map = {};
+  let line;
+  while ((line = nextLine(p)) && line.indent === indent && !isSeqItem(line.text)) {
+    const entry = splitKey(line);
+    if (!entry) yamlError(line, `Expected "key: value", got "${line.text}"`);
+    if (Object.hasOwn(map, entry.key)) yamlError(line, `Duplicate key "${entry.key}"`);
+    p.pos++;
+    map[entry.key] = parseValue(p, indent, entry.rest, line, true);
+  }
+  if (line && line.indent > indent) yamlError(line, "Unexpected indentation");
+  return map;
+}
+
+function parseSeq(p, indent) {
+  const seq = [];
+  let line;
+  while ((line = nextLine(p)) && line.indent === indent && isSeqItem(line.text)) {
+    const rest = line.text.slice(1).trimStart();
+    const nested = isSeqItem(rest) || (splitKey({ ...line, text: rest }) && !/^[[{"']/.test(rest));
+    if (nested) {
+      // "- key: value" starts a map (and "- - x" a sequence) indented to where
+      // its content begins; blank out the dash so it parses as an ordinary line
+      const raw = p.lines[p.pos];
+      const dash = raw.indexOf("-");
+      p.lines[p.pos] = raw.slice(0, dash) + " " + raw.slice(dash + 1);
+      seq.push(parseNode(p, nextLine(p).indent));
+      continue;
+    }
+    p.pos++;
+    seq.push(parseValue(p, indent, rest, line, false));
+  }
+  if (line && line.indent > indent) yamlError(line, "Unexpected indentation");
+  return seq;
+}
+
+/**
+ * Parse what follows "key:" or "- ": an inline value, a block scalar, or a
+ * nested block on the following lines.
+ */
+function parseValue(p, indent, rest, line, inMap) {
+  if (/^[|>][+-]?$/.test(rest)) return parseBlockScalar(p, indent, rest);
+  if (rest !== "") return parseInline(rest, line);
+
+  const next = nextLine(p);
+  if (!next) return null;
+  if (next.indent > indent) return parseNode(p, next.indent);
+  // A sequence may sit at the same indentation as its parent key
+  if (inMap && next.indent === indent && isSeqItem(next.text)) return parseSeq(p, indent);
+  return null;
+}
+
+function parseBlockScalar(p, indent, header) {
+  const folded = header[0] === ">";
+  const chomp = header[1];
+  const body = [];
+  let blockIndent = null;
+
+  while (p.pos < p.lines.length) {
+    const raw = p.lines[p.pos];
+    if (raw.trim() === "") {
+      body.push("");
+      p.pos++;
+      continue;
+    }
+    const lineIndent = raw.match(/^ */)[0].length;
+    if (lineIndent <= indent) break;
+    blockIndent ??= lineIndent;
+    if (lineIndent < blockIndent) break;
+    body.push(raw.slice(blockIndent));
+    p.pos++;
+  }
+
+  // Trailing blank lines belong to chomping, not content
+  let trailing = 0;
+  while (body.length > 0 && body[body.length - 1] === "") {
+    body.pop();
+    trailing++;
+  }
+
+  let text;
+  if (folded) {
+    text = "";
+    // Single line breaks fold to spaces; each blank line becomes one "\n";
+    // more-indented lines keep their breaks
+    body.forEach((current, i) => {
+      const previous = body[i - 1];
+      if (i > 0 && current === "") text += "\n";
+      else if (i === 0 || previous === "") text += current;
+      else if (/^\s/.test(current) || /^\s/.test(previous)) text += "\n" + current;
+      else text += " " + current;
+    });
+  } else {
+    text = body.join("\n");
+  }
+
+  if (body.length === 0) return "";
+  if (chomp === "-") return text;
+  if (chomp === "+") return text + "\n".repeat(trailing + 1);
+  return text + "\n";
+}
+
+function parseInline(text, line) {
+  if (text.startsWith("[") || text.startsWith("{")) {
+    const state = { text, i: 0 };
+    const value = parseFlow(state, line);
+    if (state.text.slice(state.i).trim() !== "") {
+      yamlError(line, `Unexpected "${state.text.slice(state.i).trim()}" after flow collection`);
+    }
+    return value;
+  }
+  return parseScalar(text, line);
+}
+
+function parseFlow(state, line) {
+  const skipSpace = () => {
+    while (/\s/.test(state.text[state.i] || "")) state.i++;
+  };
+  const open = state.text[state.i++];
+  const close = open === "[" ? "]" : "}";
+  const result = open === "[" ? [] : {};
+
+  skipSpace();
+  if (state.text[state.i] === close) {
+    state.i++;
+    return result;
+  }
+
+  while (true) {
+    skipSpace();
+    let key;
+    if (open === "{") {
+      key = String(parseScalar(readFlowToken(state, ":"), line));
+      if (state.text[state.i] !== ":") yamlError(line, `Expected ":" after "${key}" in flow map`);
+      state.i++;
+      skipSpace();
+    }
+    const ch = state.text[state.i];
+    const value =
+      ch === "[" || ch === "{" ? parseFlow(state, line) : parseScalar(readFlowToken(state, ""), line);
+    if (open === "[") result.push(value);
+    else result[key] = value;
+
+    skipSpace();
+    const sep = state.text[state.i++];
+    if (sep === close) return result;
+    if (sep !== ",") yamlError(line, `Expected "," or "${close}" in flow collection`);
+  }
+}
+
+function readFlowToken(state, extraStop) {
+  const start = state.i;
+  const quote = state.text[start];
+  if (quote === '"' || quote === "'") {
+    state.i++;
+    while (state.i < state.text.length) {
+      const ch = state.text[state.i];
+      if (ch === "\\" && quote === '"') state.i += 2;
+      else if (ch === quote && quote === "'" && state.text[state.i + 1] === "'") state.i += 2;
+      else if (ch === quote) break;
+      else state.i++;
+    }
+    state.i++;
+    return state.text.slice(start, state.i);
+  }
+  while (state.i < state.text.length && !`,]}${extraStop}`.includes(state.text[state.i])) {
+    state.i++;
+  }
+  return state.text.slice(start, state.i).trim();
+}
+
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      yamlError(line, `Invalid double-quoted string: ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) yamlError(line, `Invalid single-quoted string: ${text}`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^[&*!]/.test(text)) yamlError(line, "Anchors, aliases and tags are not supported");
+  if (text === "" || text === "~" || text === "null") return null;
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function fieldError(where, field, message, details) {
+  return codedError("INVALID_ARGUMENT", `${where.label} → "${field}": ${message}`, {
+    ...where.details,
+    field,
+    ...details,
+  });
+}
+
+/**
+ * Reject unknown keys (when strict) and values of the wrong type.
+ */
+function checkFields(object, fields, where, strict) {
+  for (const [key, value] of Object.entries(object)) {
+    const expected = fields[key];
+    if (!expected) {
+      if (!strict) continue;
+      throw fieldError(where, key, `unknown field (expected one of: ${Object.keys(fields).join(", ")})`);
+    }
+    if (typeOf(value) !== expected) {
+      throw fieldError(where, key, `must be ${expected === "array" ? "an" : "a"} ${expected}, got ${typeOf(value)}`);
+    }
+  }
+}
+
+/**
+ * Replace `${name}` references with values from `vars`. References to names
+ * not in `vars` are left as they are, so prompts can quote JS template
+ * literals and shell variables; `$${name}` keeps a declared name literal.
+ * @param {string} text
+ * @param {Record<string, string>} vars
+ * @returns {string}
+ */
+export function applyTemplate(text, vars) {
+  return text.replace(VAR_PATTERN, (match, escape, name) => {
+    if (escape) return match.slice(1);
+    return Object.hasOwn(vars, name) ? String(vars[name]) : match;
+  });
+}
+
+/**
+ * Validate a task list and resolve each task's prompt: `promptFile` is read
+ * relative to `baseDir`, and `${var}` references to names in `vars` are filled in.
+ * Every error names the task and field at fault, and nothing is launched
+ * until the whole list is valid.
+ * @param {any} tasks
+ * @param {object} [options]
+ * @param {string} [options.baseDir=process.cwd()]    — Where promptFile paths are resolved from
+ * @param {Record<string, string>} [options.vars={}]
+ * @param {boolean} [options.strict=false]            — Reject unknown task fields
+ * @param {string} [options.source="--tasks"]         — Prefix for error messages
+ * @returns {Promise<TeamTask[]>}
+ */
+export async function resolveTasks(tasks, options = {}) {
+  const { baseDir = process.cwd(), vars = {}, strict = false, source = "--tasks" } = options;
+
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw codedError(
+      "INVALID_ARGUMENT",
+      `${source}: "tasks" must be a non-empty array of {name, prompt} objects`,
+      { field: "tasks" }
+    );
+  }
+
+  const resolved = [];
+  for (const [index, task] of tasks.entries()) {
+    const label = typeof task?.name === "string" ? `task "${task.name}"` : "unnamed task";
+    const where = {
+      label: `${source}: tasks[${index}] (${label})`,
+      details: { task: task?.name, index },
+    };
+    if (typeOf(task) !== "object") {
+      throw codedError("INVALID_ARGUMENT", `${where.label}: must be an object`, where.details);
+    }
+    checkFields(task, TASK_FIELDS, where, strict);
+
+    if (task.prompt !== undefined && task.promptFile !== undefined) {
+      throw fieldError(where, "promptFile", 'use either "prompt" or "promptFile", not both');
+    }
+    if (task.dependsOn?.some((dep) => typeof dep !== "string")) {
+      throw fieldError(where, "dependsOn", "must be an array of task names");
+    }
+    if (task.images?.some((path) => typeof path !== "string")) {
+      throw fieldError(where, "images", "must be an array of file paths");
+    }
+
+    let field = "prompt";
+    let prompt = task.prompt;
+    if (task.promptFile !== undefined) {
+      field = "promptFile";
+      const path = resolve(baseDir, task.promptFile);
+      try {
+        prompt = await readFile(path, "utf8");
+      } catch (err) {
+        throw fieldError(where, field, `cannot read ${path} (${err.code || err.message})`, { path });
+      }
+    }
+    if (!prompt || !prompt.trim()) {
+      throw fieldError(where, field, task.promptFile ? "prompt file is empty" : 'missing "prompt" (or "promptFile")');
+    }
+    prompt = applyTemplate(prompt, vars);
+
+    let promptImages;
+    if (task.images?.length) {
+      try {
+        promptImages = await loadImages(task.images, { baseDir, source: "this task" });
+      } catch (err) {
+        throw fieldError(where, "images", err.message, err.details);
+      }
+    }
+
+    const { promptFile, images, ...rest } = task;
+    resolved.push({ ...rest, prompt, promptImages });
+  }
+  return resolved;
+}
+
+/**
+ * Load and validate a team manifest. `vars` (from --var) override the
+ * manifest's own `vars`.
+ * @param {string} path                       — .yaml, .yml or .json
+ * @param {Record<string, string>} [vars={}]
+ * @returns {Promise<TeamManifest>}
+ */
+export async function loadTeamManifest(path, vars = {}) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (err) {
+    throw codedError("INVALID_ARGUMENT", `Cannot read manifest ${path}: ${err.message}`, { path });
+  }
+
+  let manifest;
+  try {
+    manifest = extname(path).toLowerCase() === ".json" ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw codedError("INVALID_ARGUMENT", `Invalid manifest ${path}: ${err.message}`, {
+      path,
+      ...err.details,
+    });
+  }
+
+  const root = { label: path, details: { path } };
+  if (typeOf(manifest) !== "object") {
+    throw codedError("INVALID_ARGUMENT", `${path}: manifest must be a map with a "tasks" list`, { path });
+  }
+  checkFields(manifest, MANIFEST_FIELDS, root, true);
+  if (manifest.webhook) {
+    checkFields(manifest.webhook, WEBHOOK_FIELDS, { label: `${path} → "webhook"`, details: { path } }, true);
+    if (!manifest.webhook.url) {
+      throw fieldError(root, "webhook.url", "required when \"webhook\" is set");
+    }
+    if (manifest.webhook.secret !== undefined && manifest.webhook.secret.length < 32) {
+      throw fieldError(root, "webhook.secret", "must be at least 32 characters");
+    }
+  }
+  for (const [name, value] of Object.entries(manifest.vars || {})) {
+    if (!["string", "number", "boolean"].includes(typeOf(value))) {
+      throw fieldError(root, `vars.${name}`, `must be a string, number or boolean, got ${typeOf(value)}`);
+    }
+  }
+
+  const tasks = await resolveTasks(manifest.tasks, {
+    baseDir: dirname(resolve(path)),
+    vars: { ...manifest.vars, ...vars },
+    strict: true,
+    source: path,
+  });
+
+  return {
+    repo: manifest.repo,
+    ref: manifest.ref,
+    model: manifest.model,
+    autoPr: manifest.autoPr,
+    branchPrefix: manifest.branchPrefix,
+    webhookUrl: manifest.webhook?.url,
+    webhookSecret: manifest.webhook?.secret,
+    tasks,
+  };
+}
+
+/**
+ * @typedef {object} TeamTask
+ * @property {string} [name]
+ * @property {string} prompt         — Resolved prompt text (file loaded, variables filled)
+ * @property {string} [repo]         — Overrides the team repository
+ * @property {string} [ref]          — Overrides the team ref
+ * @property {string} [model]
+ * @property {string} [branch]
+ * @property {boolean} [autoPr]
+ * @property {string[]} [dependsOn]
+ * @property {import("./images.mjs").PromptImage[]} [promptImages] — Loaded from the task's `images`
+ */
+
+/**
+ * @typedef {object} TeamManifest
+ * @property {string} [repo]
+ * @property {string} [ref]
+ * @property {string} [model]
+ * @property {boolean} [autoPr]
+ * @property {string} [branchPrefix]
+ * @property {string} [webhookUrl]
+ * @property {string} [webhookSecret]
+ * @property {TeamTask[]} tasks
+ */
@@ -0,0 +1,327 @@
+/**
+ * Offline mock of the Cursor Cloud Agents API, for tests and dry runs.
+ *
+ * Implements every endpoint cursor-api.mjs calls, keeping agents in memory.
+ * A scenario (plain object or JSON file) scripts what happens:
+ *
+ *   {
+ *     "stepMs": 2000,                 // advance one lifecycle step every 2s...
+ *     "stepPolls": 2,                 // ...or every 2 GETs of the agent instead
+ *     "lifecycles": [                 // first rule whose "match" hits the prompt wins
+ *       { "match": "FAIL", "steps": ["CREATING", "RUNNING", "FAILED"], "summary": "Tests failed" },
+ *       { "steps": ["CREATING", "RUNNING", "FINISHED"] }
+ *     ],
+ *     "faults": [                     // injected errors, checked before routing
+ *       { "method": "GET", "path": "^/v0/agents/", "status": 429, "times": 2, "retryAfter": 1 },
+ *       { "path": "^/v0/models$", "status": 503, "rate": 0.5 }
+ *     ],
+ *     "models": ["claude-4-sonnet", "gpt-5"],
+ *     "repositories": [{ "owner": "acme", "name": "app", "repository": "https://github.com/acme/app" }]
+ *   }
+ *
+ * Agents launched with a webhook get a signed `statusChange` POST when they
+ * reach a terminal status, in the same format Cursor sends.
+ */
+
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { guardHandler, readBody } from "./http-body.mjs";
+import { signPayload } from "./webhook-server.mjs";
+
+const DEFAULT_LIFECYCLE = { steps: ["CREATING", "RUNNING", "FINISHED"] };
+
+const DEFAULT_SCENARIO = {
+  stepMs: 2000,
+  lifecycles: [DEFAULT_LIFECYCLE],
+  faults: [],
+  models: ["claude-4-sonnet", "gpt-5", "o3"],
+  repositories: [
+    { owner: "acme", name: "app", repository: "https://github.com/acme/app" },
+  ],
+};
+
+const TERMINAL = new Set(["FINISHED", "STOPPED", "FAILED", "EXPIRED"]);
+
+/**
+ * Create (but do not start) a mock Cursor API server.
+ * The returned server has a `mock` property exposing its in-memory state, so
+ * tests can inspect agents and the request log directly.
+ * @param {object} [options]
+ * @param {object} [options.scenario]  — See the module comment; merged over defaults
+ * @param {string} [options.apiKey]    — Only accept this key (default: any non-empty key)
+ * @param {(entry: object) => void} [options.onRequest] — Called once per request, after responding
+ * @returns {import("node:http").Server & {mock: MockState}}
+ */
+export function createMockServer({ scenario = {}, apiKey, onRequest } = {}) {
+  const config = { ...DEFAULT_SCENARIO, ...scenario };
+  // Each fault keeps its own remaining count
+  const faults = config.faults.map((fault) => ({ ...fault, remaining: fault.times ?? Infinity }));
+
+  /** @type {MockState} */
+  const mock = { agents: new Map(), requests: [], webhooks: [] };
+  let counter = 0;
+
+  // ─── Agent lifecycle ──────────────────────────────────────────────────────
+
+  const lifecycleFor = (promptText) =>
+    config.lifecycles.find((rule) => !rule.match || new RegExp(rule.match).test(promptText)) ||
+    DEFAULT_LIFECYCLE;
+
+  const setStatus = (agent, status) => {
+    if (agent.status === status) return;
+    agent.status = status;
+    if (status === "FINISHED") {
+      agent.summary = agent.lifecycle.summary || `Completed: ${agent.name}`;
+      if (agent.target.autoCreatePr) {
+        agent.target.prUrl = `${agent.source.repository.replace(/\/+$/, "")}/pull/${agent.number}`;
+      }
+    } else if (status === "FAILED") {
+      agent.summary = agent.lifecycle.summary || "The agent ran into an error";
+    }
+    if (TERMINAL.has(status)) {
+      agent.messages.push({
+        id: `msg_${agent.messages.length + 1}`,
+        type: "assistant_message",
+        text: agent.summary || `Agent ${status.toLowerCase()}`,
+        createdAt: new Date().toISOString(),
+      });
+      sendWebhook(agent);
+    }
+  };
+
+  // Move an agent along its scripted steps. Time-based agents advance by clock,
+  // poll-based ones by how many times they have been fetched.
+  const advance = (agent, { polled = false } = {}) => {
+    if (TERMINAL.has(agent.status) || agent.stepIndex === undefined) return;
+    if (polled) agent.polls++;
+    const steps = agent.lifecycle.steps;
+    const elapsed = config.stepPolls
+      ? Math.floor(agent.polls / config.stepPolls)
+      : Math.floor((Date.now() - agent.startedAt) / config.stepMs);
+    const index = Math.min(agent.startIndex + elapsed, steps.length - 1);
+    if (index !== agent.stepIndex) {
+      agent.stepIndex = index;
+      setStatus(agent, steps[index]);
+    }
+  };
+
+  // Restart the run phase, e.g. after a follow-up
+  const restart = (agent) => {
+    const running = agent.lifecycle.steps.indexOf("RUNNING");
+    agent.startIndex = running === -1 ? 0 : running;
+    agent.stepIndex = agent.startIndex;
+    agent.startedAt = Date.now();
+    agent.polls = 0;
+    agent.target.prUrl = undefined;
+    agent.status = agent.lifecycle.steps[agent.startIndex];
+  };
+
+  const sendWebhook = (agent) => {
+    if (!agent.webhook?.url) return;
+    const payload = {
+      event: "statusChange",
+      timestamp: new Date().toISOString(),
+      id: agent.id,
+      // Webhooks report failures as ERROR
+      status: agent.status === "FAILED" ? "ERROR" : agent.status,
+      source: agent.source,
+      target: { url: agent.target.url, branchName: agent.target.branchName, prUrl: agent.target.prUrl },
+      summary: agent.summary,
+    };
+    const body = JSON.stringify(payload);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "Cursor-Agent-Webhook/1.0",
+      "X-Webhook-Event": "statusChange",
+      "X-Webhook-ID": `whk_${randomBytes(6).toString("hex")}`,
+    };
+    if (agent.webhook.secret) headers["X-Webhook-Signature"] = signPayload(agent.webhook.secret, body);
+
+    const delivery = { url: agent.webhook.url, payload, status: null, error: null };
+    mock.webhooks.push(delivery);
+    fetch(agent.webhook.url, { method: "POST", headers, body })
+      .then((res) => {
+        delivery.status = res.status;
+      })
+      .catch((err) => {
+        delivery.error = err.message;
+      });
+  };
+
+  // Time-based lifecycles must progress (and fire webhooks) without polling
+  const ticker = config.stepPolls
+    ? null
+    : setInterval(() => {
+        for (const agent of mock.agents.values()) advance(agent);
+      }, Math.max(50, Math.min(250, config.stepMs / 4)));
+  ticker?.unref();
+
+  const view = (agent) => ({
+    id: agent.id,
+    name: agent.name,
+    status: agent.status,
+    source: agent.source,
+    target: agent.target,
+    summary: agent.summary,
+    createdAt: agent.createdAt,
+  });
+
+  // ─── Routes ───────────────────────────────────────────────────────────────
+
+  const routes = [
+    ["POST", /^\/v0\/agents$/, (req, body) => {
+      if (!body?.prompt?.text) return [400, { error: "prompt.text is required" }];
+      if (!body.source?.repository) return [400, { error: "source.repository is required" }];
+      if (body.webhook?.secret && body.webhook.secret.length < 32) {
+        return [400, { error: "webhook.secret must be at least 32 characters" }];
+      }
+      const number = ++counter;
+      const id = `bc-mock-${number}`;
+      const name = body.prompt.text.split("\n")[0].slice(0, 60);
+      const lifecycle = lifecycleFor(body.prompt.text);
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 30);
+      const agent = {
+        id,
+        number,
+        name,
+        lifecycle,
+        source: { repository: body.source.repository, ref: body.source.ref || "main" },
+        target: {
+          branchName: body.target?.branchName || `cursor/${slug || "task"}-${randomBytes(2).toString("hex")}`,
+          url: `https://cursor.com/agents?id=${id}`,
+          autoCreatePr: Boolean(body.target?.autoCreatePr),
+        },
+        webhook: body.webhook,
+        model: body.model,
+        createdAt: new Date().toISOString(),
+        messages: [{ id: "msg_1", type: "user_message", text: body.prompt.text, createdAt: new Date().toISOString() }],
+        startIndex: 0,
+        stepIndex: 0,
+        startedAt: Date.now(),
+        polls: 0,
+        status: lifecycle.steps[0],
+      };
+      mock.agents.set(id, agent);
+      return [200, view(agent)];
+    }],
+    ["GET", /^\/v0\/agents$/, (req, body, match, url) => {
+      const limit = Math.min(Number(url.searchParams.get("limit") || 20), 100);
+      const start = Number(url.searchParams.get("cursor") || 0);
+      const all = [...mock.agents.values()].reverse();
+      all.forEach((agent) => advance(agent));
+      const page = all.slice(start, start + limit).map(view);
+      const nextCursor = start + limit < all.length ? String(start + limit) : undefined;
+      return [200, { agents: page, nextCursor }];
+    }],
+    ["GET", /^\/v0\/agents\/([^/]+)$/, (req, body, [, id]) => {
+      const agent = mock.agents.get(id);
+      if (!agent) return [404, { error: `Agent ${id} not found` }];
+      advance(agent, { polled: true });
+      return [200, view(agent)];
+    }],
+    ["GET", /^\/v0\/agents\/([^/]+)\/conversation$/, (req, body, [, id]) => {
+      const agent = mock.agents.get(id);
+      if (!agent) return [404, { error: `Agent ${id} not found` }];
+      return [200, { id, messages: agent.messages }];
+    }],
+    ["POST", /^\/v0\/agents\/([^/]+)\/followup$/, (req, body, [, id]) => {
+      const agent = mock.agents.get(id);
+      if (!agent) return [404, { error: `Agent ${id} not found` }];
+      if (!body?.prompt?.text) return [400, { error: "prompt.text is required" }];
+      agent.messages.push({
+        id: `msg_${agent.messages.length + 1}`,
+        type: "user_message",
+        text: body.prompt.text,
+        createdAt: new Date().toISOString(),
+      });
+      restart(agent);
+      return [200, { id }];
+    }],
+    ["POST", /^\/v0\/agents\/([^/]+)\/stop$/, (req, body, [, id]) => {
+      const agent = mock.agents.get(id);
+      if (!agent) return [404, { error: `Agent ${id} not found` }];
+      advance(agent);
+      if (!TERMINAL.has(agent.status)) setStatus(agent, "STOPPED");
+      return [200, { id }];
+    }],
+    ["DELETE", /^\/v0\/agents\/([^/]+)$/, (req, body, [, id]) => {
+      if (!mock.agents.delete(id)) return [404, { error: `Agent ${id} not found` }];
+      return [200, { id }];
+    }],
+    ["GET", /^\/v0\/me$/, () => [
+      200,
+      { apiKeyName: "mock-key", createdAt: "2026-01-01T00:00:00.000Z", userEmail: "mock@example.com" },
+    ]],
+    ["GET", /^\/v0\/models$/, () => [200, { models: config.models }]],
+    ["GET", /^\/v0\/repositories$/, () => [200, { repositories: config.repositories }]],
+  ];
+
+  const checkAuth = (req) => {
+    const header = req.headers.authorization || "";
+    if (!header.startsWith("Basic ")) return false;
+    const key = Buffer.from(header.slice(6), "base64").toString("utf8").replace(/:$/, "");
+    return key !== "" && (apiKey === undefined || key === apiKey);
+  };
+
+  // First matching fault with budget left (and passing its dice roll), if any
+  const injectedFault = (method, path) =>
+    faults.find((fault) => {
+      if (fault.remaining <= 0) return false;
+      if (fault.method && fault.method !== method) return false;
+      if (fault.path && !new RegExp(fault.path).test(path)) return false;
+      if (fault.rate !== undefined && Math.random() >= fault.rate) return false;
+      fault.remaining--;
+      return true;
+    });
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const reply = (status, data, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(data));
+      const entry = { at: new Date().toISOString(), method: req.method, path: url.pathname, status };
+      mock.requests.push(entry);
+      onRequest?.(entry);
+    };
+
+    const rawBody = await readBody(req);
+    let body;
+    if (rawBody.length > 0) {
+      try {
+        body = JSON.parse(rawBody.toString("utf8"));
+      } catch {
+        return reply(400, { error: "Invalid JSON body" });
+      }
+    }
+
+    if (!checkAuth(req)) return reply(401, { error: "Invalid API key" });
+
+    const fault = injectedFault(req.method, url.pathname);
+    if (fault) {
+      const headers = fault.retryAfter !== undefined ? { "Retry-After": String(fault.retryAfter) } : {};
+      return reply(fault.status, fault.body || { error: `Injected ${fault.status}` }, headers);
+    }
+
+    for (const [method, pattern, handler] of routes) {
+      const match = pattern.exec(url.pathname);
+      if (!match) continue;
+      if (method !== req.method) continue;
+      const [status, data] = handler(req, body, match, url);
+      return reply(status, data);
+    }
+    reply(404, { error: `No route for ${req.method} ${url.pathname}` });
+  };
+
+  const server = createServer(guardHandler(handleRequest, (err) => [500, { error: err.message }]));
+
+  server.on("close", () => ticker && clearInterval(ticker));
+  server.mock = mock;
+  return server;
+}
+
+/**
+ * @typedef {object} MockState
+ * @property {Map<string, object>} agents — Agents by ID, including internal lifecycle fields
+ * @property {Array<{at: string, method: string, path: string, status: number}>} requests
+ * @property {Array<{url: string, payload: object, status: number|null, error: string|null}>} webhooks
+ */
@@ -0,0 +1,163 @@
+/**
+ * Client-side token-bucket rate limiter for the Cursor API.
+ *
+ * Requests are grouped into endpoint families, each with one or more buckets
+ * (e.g. repositories: 1/min AND 30/hour). Callers `acquire()` a token before
+ * each request and wait in FIFO order when a bucket is empty, instead of
+ * hitting the server and getting a 429.
+ *
+ * With a `statePath`, bucket levels are persisted between processes so that
+ * separate CLI invocations share one budget.
+ */
+
+import { mkdir, readFile } from "node:fs/promises";
+import { setTimeout as delay } from "node:timers/promises";
+import { dirname } from "node:path";
+import { writeJson } from "./state.mjs";
+
+/**
+ * @typedef {object} BucketLimit
+ * @property {number} capacity  — Max requests per window (also the burst size)
+ * @property {number} windowMs  — Window length; tokens refill continuously over it
+ */
+
+/**
+ * Default per-family quotas. `repositories` matches the documented API limit;
+ * the others are conservative defaults that keep large teams under 429s.
+ * @type {Record<string, BucketLimit[]>}
+ */
+export const DEFAULT_RATE_LIMITS = {
+  agents: [{ capacity: 60, windowMs: 60_000 }],
+  repositories: [
+    { capacity: 1, windowMs: 60_000 },
+    { capacity: 30, windowMs: 3_600_000 },
+  ],
+  models: [{ capacity: 10, windowMs: 60_000 }],
+};
+
+/**
+ * Map an API path to its rate-limit family, or null if it is not limited.
+ * @param {string} path
+ * @returns {string|null}
+ */
+export function endpointFamily(path) {
+  if (path.startsWith("/v0/agents")) return "agents";
+  if (path.startsWith("/v0/repositories")) return "repositories";
+  if (path.startsWith("/v0/models")) return "models";
+  return null;
+}
+
+export class RateLimiter {
+  /**
+   * @param {object} [options]
+   * @param {Record<string, BucketLimit[]>} [options.limits]
+   * @param {string} [options.statePath] — JSON file to share bucket state across processes
+   */
+  constructor({ limits = DEFAULT_RATE_LIMITS, statePath } = {}) {
+    this.limits = limits;
+    this.statePath = statePath;
+    /** @type {Record<string, Array<{tokens: number, updatedAt: number}>>} */
+    this.buckets = {};
+    // Serializes acquire() calls so waiters are served in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until a token is available for the family, then consume it.
+   * Families without configured limits pass straight through. An aborted
+   * waiter gives up its place without consuming a token, so it does not
+   * hold up the callers queued behind it.
+   * @param {string|null} family
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] — Rejects with the signal's reason
+   * @returns {Promise<void>}
+   */
+  acquire(family, { signal } = {}) {
+    if (!family || !this.limits[family]) return Promise.resolve();
+    const next = this.queue.then(() => this.#take(family, signal));
+    // Keep the chain alive even if one acquire fails (e.g. unreadable state file)
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Milliseconds until the family has a token, without consuming one.
+   * @param {string} family
+   * @returns {Promise<number>}
+   */
+  async waitTime(family) {
+    if (!this.limits[family]) return 0;
+    await this.#load();
+    return this.#refill(family, Date.now());
+  }
+
+  async #take(family, signal) {
+    while (true) {
+      signal?.throwIfAborted();
+      await this.#load();
+      const now = Date.now();
+      const waitMs = this.#refill(family, now);
+      if (waitMs === 0) {
+        for (const bucket of this.buckets[family]) bucket.tokens -= 1;
+        await this.#save();
+        return;
+      }
+      try {
+        await delay(waitMs, undefined, { signal });
+      } catch {
+        // Woken by the abort; leave the queue without a token
+        signal.throwIfAborted();
+      }
+    }
+  }
+
+  /**
+   * Bring the family's buckets up to date and return the wait for one token.
+   * @param {string} family
+   * @param {number} now
+   * @returns {number}
+   */
+  #refill(family, now) {
+    const limits = this.limits[family];
+    const buckets = (this.buckets[family] ||= limits.map((l) => ({
+      tokens: l.capacity,
+      updatedAt: now,
+    })));
+
+    let waitMs = 0;
+    limits.forEach((limit, i) => {
+      const bucket = buckets[i];
+      const ratePerMs = limit.capacity / limit.windowMs;
+      bucket.tokens = Math.min(
+        limit.capacity,
+        bucket.tokens + (now - bucket.updatedAt) * ratePerMs
+      );
+      bucket.updatedAt = now;
+      if (bucket.tokens < 1) {
+        waitMs = Math.max(waitMs, Math.ceil((1 - bucket.tokens) / ratePerMs));
+      }
+    });
+    return waitMs;
+  }
+
+  async #load() {
+    if (!this.statePath) return;
+    try {
+      const saved = JSON.parse(await readFile(this.statePath, "utf8"));
+      for (const [family, buckets] of Object.entries(saved)) {
+        // Ignore state written under a different limit configuration
+        if (buckets.length === this.limits[family]?.length) {
+          this.buckets[family] = buckets;
+        }
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+    }
+  }
+
+  async #save() {
+    if (!this.statePath) return;
+    await mkdir(dirname(this.statePath), { recursive: true });
+    await writeJson(this.statePath, this.buckets);
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Acceptance checks for the `refine` review loop.
+ *
+ * After each finished turn the agent's summary and replies are checked
+ * against criteria: `require` (must match) and `forbid` (must not match)
+ * keywords or /regex/ patterns, plus an optional local evaluator script.
+ * Failed checks become the follow-up prompt for the next turn.
+ *
+ * Evaluator protocol: the script gets one JSON object on stdin
+ *   { iteration, agent: {id, status, summary, branch, prUrl}, messages, conversation }
+ * (`messages` is this turn only) and must print
+ *   { "pass": boolean, "feedback": "what is still missing" }
+ * to stdout and exit 0. `.js`/`.mjs`/`.cjs` files run with this Node binary;
+ * anything else is executed directly.
+ */
+
+import { spawn } from "node:child_process";
+import { codedError } from "./errors.mjs";
+
+const REGEX_CRITERION = /^\/(.+)\/([dgimsuvy]*)$/;
+
+/**
+ * Parse a criterion: "/pattern/flags" is a regular expression, anything else
+ * a case-insensitive keyword.
+ * @param {"require"|"forbid"} type
+ * @param {string} value
+ * @returns {Criterion}
+ */
+export function parseCriterion(type, value) {
+  const match = REGEX_CRITERION.exec(value);
+  if (!match) {
+    return { type, criterion: value, test: (text) => text.toLowerCase().includes(value.toLowerCase()) };
+  }
+  let regex;
+  try {
+    regex = new RegExp(match[1], match[2].replace(/[gy]/g, ""));
+  } catch (err) {
+    throw codedError("INVALID_ARGUMENT", `Invalid --${type} pattern ${value}: ${err.message}`);
+  }
+  return { type, criterion: value, test: (text) => regex.test(text) };
+}
+
+/**
+ * Run keyword/regex criteria against a turn's text.
+ * @param {string} text
+ * @param {Criterion[]} criteria
+ * @returns {CheckResult[]}
+ */
+export function checkCriteria(text, criteria) {
+  return criteria.map(({ type, criterion, test }) => {
+    const matched = test(text);
+    return { type, criterion, pass: type === "require" ? matched : !matched };
+  });
+}
+
+/**
+ * Run an evaluator script and read its verdict.
+ * @param {string} path
+ * @param {object} input      — Written to the script's stdin as JSON
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=300000]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<CheckResult>}
+ */
+export function runEvaluator(path, input, { timeoutMs = 300000, signal } = {}) {
+  const [command, args] = /\.[cm]?js$/.test(path) ? [process.execPath, [path]] : [path, []];
+  const fail = (message) => codedError("INVALID_ARGUMENT", `Evaluator ${path} ${message}`);
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const child = spawn(command, args, {
+      stdio: ["pipe", "pipe", "inherit"],
+      timeout: timeoutMs,
+      signal,
+    });
+    let stdout = "";
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    // A script that exits without reading stdin is not an error in itself
+    child.stdin.on("error", () => {});
+
+    child.on("error", (err) => {
+      if (signal?.aborted) {
+        reject(codedError("ABORTED", signal.reason?.message || "Evaluator aborted"));
+      } else {
+        reject(fail(`could not be started: ${err.message}`));
+      }
+    });
+    child.on("close", (code, killedBy) => {
+      if (signal?.aborted) return; // Already rejected by the "error" handler
+      if (killedBy) {
+        const timedOut = Date.now() - startedAt >= timeoutMs;
+        reject(fail(timedOut ? `timed out after ${timeoutMs / 1000}s` : `was killed by ${killedBy}`));
+        return;
+      }
+      if (code !== 0) {
+        reject(fail(`exited with code ${code}`));
+        return;
+      }
+      let verdict;
+      try {
+        verdict = JSON.parse(stdout);
+      } catch {
+        reject(fail(`must print JSON like {"pass": true}, got: ${stdout.trim().slice(0, 200)}`));
+        return;
+      }
+      if (typeof verdict?.pass !== "boolean") {
+        reject(fail('output is missing a boolean "pass"'));
+        return;
+      }
+      resolve({
+        type: "evaluator",
+        criterion: path,
+        pass: verdict.pass,
+        feedback: typeof verdict.feedback === "string" ? verdict.feedback : undefined,
+      });
+    });
+
+    child.stdin.end(JSON.stringify(input));
+  });
+}
+
+/**
+ * Follow-up prompt listing what failed, for the agent's next turn.
+ * @param {CheckResult[]} checks
+ * @returns {string}
+ */
+export function buildFollowUpPrompt(checks) {
+  const lines = ["The result does not meet the acceptance criteria yet:"];
+  for (const check of checks.filter((c) => !c.pass)) {
+    if (check.type === "require") {
+      lines.push(`- Expected your summary to address: ${check.criterion}`);
+    } else if (check.type === "forbid") {
+      lines.push(`- Your summary still mentions something that should be resolved: ${check.criterion}`);
+    } else {
+      lines.push(`- Review feedback: ${check.feedback || "the automated review did not pass"}`);
+    }
+  }
+  lines.push("", "Please fix these points on the same branch, then finish with a summary of what changed.");
+  return lines.join("\n");
+}
+
+/**
+ * @typedef {object} Criterion
+ * @property {"require"|"forbid"} type
+ * @property {string} criterion            — As given on the command line
+ * @property {(text: string) => boolean} test
+ */
+
+/**
+ * @typedef {object} CheckResult
+ * @property {"require"|"forbid"|"evaluator"} type
+ * @property {string} criterion            — Keyword, /pattern/ or evaluator path
+ * @property {boolean} pass
+ * @property {string} [feedback]           — Evaluator only
+ */
@@ -0,0 +1,225 @@
+/**
+ * Completion reports: one summary of a team's results for chat and CI.
+ *
+ * A report lists each agent's final status, branch, PR, summary and
+ * wall-clock duration, counts successes and failures, and collects the PRs
+ * that still need review. Formats: json (the report object itself), markdown,
+ * and junit (JUnit XML, one test case per agent).
+ */
+
+import { isTerminalStatus } from "./cursor-api.mjs";
+import { codedError } from "./errors.mjs";
+
+export const REPORT_FORMATS = ["json", "markdown", "junit"];
+
+/**
+ * How an agent counts in a report.
+ * @param {ReportAgent} agent
+ * @returns {"succeeded"|"failed"|"running"|"error"}
+ */
+export function reportOutcome(agent) {
+  if (agent.error) return "error";
+  if (agent.status === "FINISHED") return "succeeded";
+  return isTerminalStatus(agent.status) ? "failed" : "running";
+}
+
+/**
+ * Assemble a report from per-agent results.
+ * @param {object} params
+ * @param {string} params.title
+ * @param {string} [params.run]
+ * @param {ReportAgent[]} params.agents
+ * @param {string} [params.generatedAt] — ISO timestamp (default: now)
+ * @returns {Report}
+ */
+export function buildReport({ title, run, agents, generatedAt = new Date().toISOString() }) {
+  const summary = { total: agents.length, succeeded: 0, failed: 0, running: 0, errors: 0 };
+  for (const agent of agents) {
+    const outcome = reportOutcome(agent);
+    summary[outcome === "error" ? "errors" : outcome]++;
+  }
+  // The API does not say whether a PR was reviewed or merged, so every open link is listed
+  const needsReview = agents
+    .filter((a) => a.prUrl)
+    .map((a) => ({ id: a.id, taskName: a.taskName, status: a.status, prUrl: a.prUrl }));
+  summary.needsReview = needsReview.length;
+  return { title, run, generatedAt, summary, needsReview, agents };
+}
+
+/**
+ * Format a duration for people: "45s", "12m 30s", "2h 05m".
+ * @param {number} [ms]
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms === undefined || ms === null) return "";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+function agentTitle(agent) {
+  return agent.taskName || agent.name || agent.id;
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+// Table cells are one line, and a pipe would end the cell early
+function cell(text) {
+  return String(text ?? "").replace(/\s+/g, " ").replace(/\|/g, "\\|");
+}
+
+function renderMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    `# ${report.title}`,
+    "",
+    `Generated ${report.generatedAt}`,
+    "",
+    `**${summary.total} ${summary.total === 1 ? "agent" : "agents"}:** ` +
+      `${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.running} running` +
+      (summary.errors > 0 ? `, ${summary.errors} could not be fetched` : "") +
+      ` · ${summary.needsReview} ${summary.needsReview === 1 ? "PR" : "PRs"} to review`,
+    "",
+    "| Task | Status | Duration | Branch | PR |",
+    "|------|--------|----------|--------|----|",
+  ];
+  for (const agent of report.agents) {
+    const status = agent.error ? `ERROR (${agent.error.code})` : agent.status;
+    const duration = formatDuration(agent.durationMs) + (reportOutcome(agent) === "running" ? " so far" : "");
+    lines.push(
+      `| ${cell(agentTitle(agent))} | ${cell(status)} | ${cell(duration)} | ` +
+        `${agent.branch ? `\`${cell(agent.branch)}\`` : ""} | ${agent.prUrl ? `[PR](${agent.prUrl})` : ""} |`
+    );
+  }
+  lines.push("");
+
+  if (report.needsReview.length > 0) {
+    lines.push("## Pull Requests to Review", "");
+    for (const pr of report.needsReview) {
+      lines.push(`- [ ] **${agentTitle(pr)}** — ${pr.prUrl}`);
+    }
+    lines.push("");
+  }
+
+  const failures = report.agents.filter((a) => ["failed", "error"].includes(reportOutcome(a)));
+  if (failures.length > 0) {
+    lines.push("## Failures", "");
+    for (const agent of failures) {
+      const detail = agent.error
+        ? `Could not fetch agent: ${agent.error.message}`
+        : agent.summary || "No summary.";
+      lines.push(`### ${agentTitle(agent)} — ${agent.error ? "ERROR" : agent.status}`, "", detail, "");
+    }
+  }
+
+  const summaries = report.agents.filter((a) => reportOutcome(a) === "succeeded" && a.summary);
+  if (summaries.length > 0) {
+    lines.push("## Summaries", "");
+    for (const agent of summaries) {
+      lines.push(`### ${agentTitle(agent)}`, "", agent.summary, "");
+    }
+  }
+  return lines.join("\n");
+}
+
+// ─── JUnit XML ────────────────────────────────────────────────────────────────
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function renderJunit(report) {
+  const { summary } = report;
+  const totalMs = report.agents.reduce((sum, a) => sum + (a.durationMs || 0), 0);
+  const counts =
+    `tests="${summary.total}" failures="${summary.failed}" errors="${summary.errors}" ` +
+    `skipped="${summary.running}" time="${seconds(totalMs)}"`;
+  const suiteName = escapeXml(report.run || report.title);
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="cursor-team" ${counts}>`,
+    `  <testsuite name="${suiteName}" ${counts} timestamp="${escapeXml(report.generatedAt)}">`,
+  ];
+  for (const agent of report.agents) {
+    parts.push(
+      `    <testcase classname="${escapeXml(agent.repo || "cursor-team")}" ` +
+        `name="${escapeXml(agentTitle(agent))}" time="${seconds(agent.durationMs)}">`
+    );
+    const outcome = reportOutcome(agent);
+    if (outcome === "error") {
+      parts.push(`      <error message="${escapeXml(agent.error.message)}" type="${escapeXml(agent.error.code)}"/>`);
+    } else if (outcome === "failed") {
+      parts.push(
+        `      <failure message="Agent ${escapeXml(agent.status)}" type="${escapeXml(agent.status)}">` +
+          `${escapeXml(agent.summary)}</failure>`
+      );
+    } else if (outcome === "running") {
+      parts.push(`      <skipped message="Agent still ${escapeXml(agent.status)}"/>`);
+    }
+    const details = [
+      ["Agent", agent.id],
+      ["Status", agent.status],
+      ["Branch", agent.branch],
+      ["PR", agent.prUrl],
+      ["URL", agent.url],
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${value}`);
+    if (agent.summary && outcome !== "failed") details.push("", agent.summary);
+    parts.push(`      <system-out>${escapeXml(details.join("\n"))}</system-out>`, "    </testcase>");
+  }
+  parts.push("  </testsuite>", "</testsuites>", "");
+  return parts.join("\n");
+}
+
+/**
+ * Render a report as a document. JSON reports are printed by the caller.
+ * @param {"markdown"|"junit"} format
+ * @param {Report} report
+ * @returns {string}
+ */
+export function renderReport(format, report) {
+  if (format === "markdown") return renderMarkdown(report);
+  if (format === "junit") return renderJunit(report);
+  throw codedError("INVALID_ARGUMENT", `Unknown format "${format}". Use ${REPORT_FORMATS.join(", ")}.`);
+}
+
+/**
+ * @typedef {object} ReportAgent
+ * @property {string} id
+ * @property {string} [taskName]
+ * @property {string} [repo]
+ * @property {string} [name]
+ * @property {string} [status]
+ * @property {string} [branch]
+ * @property {string} [url]
+ * @property {string} [prUrl]
+ * @property {string} [summary]
+ * @property {string} [createdAt]
+ * @property {string} [endedAt]      — When the final status was first observed
+ * @property {number} [durationMs]   — createdAt to endedAt, or to now while still running
+ * @property {{code: string, message: string}} [error] — Set when the agent could not be fetched
+ */
+
+/**
+ * @typedef {object} Report
+ * @property {string} title
+ * @property {string} [run]
+ * @property {string} generatedAt
+ * @property {{total: number, succeeded: number, failed: number, running: number, errors: number, needsReview: number}} summary
+ * @property {Array<{id: string, taskName?: string, status?: string, prUrl: string}>} needsReview
+ * @property {ReportAgent[]} agents
+ */
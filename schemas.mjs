@@ -0,0 +1,145 @@
+/**
+ * Response schemas for the Cursor Cloud Agents API, used by CursorClient
+ * when `validateResponses` is on.
+ *
+ * Only the fields this package reads are checked. Extra fields are always
+ * accepted, so the API can add data without breaking clients. Optional fields
+ * may also be null. Keep these in sync with the typedefs in cursor-api.mjs
+ * and with cursor-api.d.ts.
+ */
+
+import { codedError } from "./errors.mjs";
+
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const optional = (schema) => ({ ...schema, optional: true });
+const object = (fields) => ({ type: "object", fields });
+const arrayOf = (items) => ({ type: "array", items });
+
+const AGENT = object({
+  id: string,
+  name: optional(string),
+  status: string,
+  source: object({
+    repository: string,
+    ref: optional(string),
+  }),
+  target: optional(
+    object({
+      branchName: optional(string),
+      url: optional(string),
+      prUrl: optional(string),
+      autoCreatePr: optional(boolean),
+      openAsCursorGithubApp: optional(boolean),
+      skipReviewerRequest: optional(boolean),
+    })
+  ),
+  summary: optional(string),
+  createdAt: string,
+});
+
+const AGENT_ID = object({ id: string });
+
+/**
+ * [method, path pattern, endpoint label, schema]. Paths are matched without
+ * their query string.
+ * @type {Array<[string, RegExp, string, Schema]>}
+ */
+const ENDPOINTS = [
+  ["POST", /^\/v0\/agents$/, "POST /v0/agents", AGENT],
+  [
+    "GET",
+    /^\/v0\/agents$/,
+    "GET /v0/agents",
+    object({ agents: arrayOf(AGENT), nextCursor: optional(string) }),
+  ],
+  ["GET", /^\/v0\/agents\/[^/]+$/, "GET /v0/agents/:id", AGENT],
+  [
+    "GET",
+    /^\/v0\/agents\/[^/]+\/conversation$/,
+    "GET /v0/agents/:id/conversation",
+    object({
+      id: string,
+      messages: arrayOf(object({ id: string, type: string, text: string })),
+    }),
+  ],
+  ["POST", /^\/v0\/agents\/[^/]+\/followup$/, "POST /v0/agents/:id/followup", AGENT_ID],
+  ["POST", /^\/v0\/agents\/[^/]+\/stop$/, "POST /v0/agents/:id/stop", AGENT_ID],
+  // 204 No Content comes back as {}
+  ["DELETE", /^\/v0\/agents\/[^/]+$/, "DELETE /v0/agents/:id", object({ id: optional(string) })],
+  ["GET", /^\/v0\/me$/, "GET /v0/me", object({ apiKeyName: string, createdAt: string, userEmail: optional(string) })],
+  ["GET", /^\/v0\/models$/, "GET /v0/models", object({ models: arrayOf(string) })],
+  [
+    "GET",
+    /^\/v0\/repositories$/,
+    "GET /v0/repositories",
+    object({ repositories: arrayOf(object({ owner: string, name: string, repository: string })) }),
+  ],
+];
+
+/**
+ * Check a successful response body against its endpoint's schema.
+ * Endpoints without a schema pass through unchecked.
+ * @param {string} method
+ * @param {string} path   — Path and query, as passed to request()
+ * @param {any} data
+ * @returns {any} `data`, unchanged
+ * @throws {Error} INVALID_RESPONSE naming the endpoint and the first unexpected field
+ */
+export function validateResponse(method, path, data) {
+  const pathname = path.split("?")[0];
+  const endpoint = ENDPOINTS.find(([m, pattern]) => m === method && pattern.test(pathname));
+  if (!endpoint) return data;
+
+  const [, , label, schema] = endpoint;
+  const problem = check(data, schema, "");
+  if (problem) {
+    const where = problem.field ? `"${problem.field}"` : "the response body";
+    throw codedError(
+      "INVALID_RESPONSE",
+      `Unexpected response from ${label}: ${where} should be ${problem.expected}, got ${problem.actual}`,
+      { endpoint: label, path, ...problem }
+    );
+  }
+  return data;
+}
+
+/**
+ * Find the first place `value` does not match `schema`.
+ * @returns {{field: string, expected: string, actual: string} | null}
+ */
+function check(value, schema, field) {
+  if (value === undefined || value === null) {
+    return schema.optional ? null : { field, expected: describe(schema), actual: value === null ? "null" : "nothing" };
+  }
+  const actual = Array.isArray(value) ? "array" : typeof value;
+  if (actual !== schema.type) {
+    return { field, expected: describe(schema), actual };
+  }
+  if (schema.type === "object") {
+    for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+      const problem = check(value[key], fieldSchema, field ? `${field}.${key}` : key);
+      if (problem) return problem;
+    }
+  } else if (schema.type === "array") {
+    for (const [i, item] of value.entries()) {
+      const problem = check(item, schema.items, `${field}[${i}]`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+function describe(schema) {
+  if (schema.type === "array") return "an array";
+  if (schema.type === "object") return "an object";
+  return `a ${schema.type}`;
+}
+
+/**
+ * @typedef {object} Schema
+ * @property {"string"|"boolean"|"object"|"array"} type
+ * @property {boolean} [optional]                 — Also accepts undefined and null
+ * @property {Record<string, Schema>} [fields]    — object only
+ * @property {Schema} [items]                     — array only
+ */
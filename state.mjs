@@ -0,0 +1,411 @@
+/**
+ * Local state store for cursor-team.
+ *
+ * Everything lives under ~/.cursor-team (override with CURSOR_TEAM_HOME):
+ *   runs/<name>.json   — named runs created by `team`, `launch` and `pipeline`
+ *   cache/<key>.json   — cached API responses (e.g. the rate-limited repo list)
+ *   rate-limits.json   — client-side rate limiter buckets
+ *   webhook-events.jsonl — status-change events received by `serve-webhooks`
+ *   refinements/<agent>.jsonl — iteration history of `refine` sessions
+ *   audit.jsonl        — every API request and CLI command (see `audit`)
+ *   config.json        — user config: API key and launch defaults (see config.mjs)
+ *
+ * A run records which agents were launched for which task, so a calling agent
+ * that loses the launch output can still poll, stop or follow up by run name.
+ */
+
+import { randomBytes } from "node:crypto";
+import { appendFileSync, mkdirSync } from "node:fs";
+import {
+  appendFile,
+  mkdir,
+  open,
+  readFile,
+  readdir,
+  rename,
+  stat,
+  writeFile,
+} from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { codedError } from "./errors.mjs";
+
+const RUN_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Root directory for all local state.
+ * @returns {string}
+ */
+export function stateDir() {
+  return process.env.CURSOR_TEAM_HOME || join(homedir(), ".cursor-team");
+}
+
+function runsDir() {
+  return join(stateDir(), "runs");
+}
+
+function runPath(name) {
+  if (!RUN_NAME_PATTERN.test(name)) {
+    throw codedError(
+      "INVALID_ARGUMENT",
+      `Invalid run name "${name}". Use letters, digits, ".", "_" and "-" only.`
+    );
+  }
+  return join(runsDir(), `${name}.json`);
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves half a file.
+ * @param {string} path
+ * @param {any} data
+ */
+export async function writeJson(path, data) {
+  // Unique per write, so concurrent writers in one process never share a temp file
+  const tmp = `${path}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2) + "\n");
+  await rename(tmp, path);
+}
+
+/**
+ * Generate a default run name like `team-20260101-120000-3f2a`.
+ * The random suffix keeps launches started in the same second apart.
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function defaultRunName(prefix) {
+  const stamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace("T", "-")
+    .slice(0, 15);
+  const suffix = randomBytes(2).toString("hex");
+  return `${prefix}-${stamp}-${suffix}`;
+}
+
+/**
+ * Whether a run with this name exists.
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+export async function runExists(name) {
+  try {
+    await readFile(runPath(name));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+/**
+ * Load a run by name.
+ * @param {string} name
+ * @returns {Promise<Run>}
+ */
+export async function loadRun(name) {
+  let text;
+  try {
+    text = await readFile(runPath(name), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw codedError("NOT_FOUND", `Run "${name}" not found in ${runsDir()}`);
+    }
+    throw err;
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Create or overwrite a run. Sets `updatedAt`, and keeps the original `createdAt`.
+ * @param {Run} run
+ * @returns {Promise<Run>}
+ */
+export async function saveRun(run) {
+  const now = new Date().toISOString();
+  let createdAt = run.createdAt;
+  if (!createdAt && (await runExists(run.name))) {
+    createdAt = (await loadRun(run.name)).createdAt;
+  }
+  const record = { ...run, createdAt: createdAt || now, updatedAt: now };
+  await mkdir(runsDir(), { recursive: true });
+  await writeJson(runPath(run.name), record);
+  return record;
+}
+
+/**
+ * List all saved runs, newest first, without their agent details.
+ * @returns {Promise<Array<{name: string, command: string, repo: string, ref: string, agents: number, createdAt: string, updatedAt: string}>>}
+ */
+export async function listRuns() {
+  let files;
+  try {
+    files = await readdir(runsDir());
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const runs = [];
+  for (const file of files) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const run = JSON.parse(await readFile(join(runsDir(), file), "utf8"));
+      runs.push({
+        name: run.name,
+        command: run.command,
+        repo: run.repo,
+        ref: run.ref,
+        repos: run.repos,
+        agents: run.agents?.length || 0,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+      });
+    } catch {
+      // Skip unreadable or partially written files
+    }
+  }
+  return runs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// ─── Response Cache ───────────────────────────────────────────────────────────
+
+/**
+ * Read a cached API response.
+ * @param {string} key
+ * @returns {Promise<{cachedAt: string, data: any} | null>}
+ */
+export async function readCache(key) {
+  try {
+    return JSON.parse(await readFile(join(stateDir(), "cache", `${key}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" || err instanceof SyntaxError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Store an API response in the cache, stamped with the current time.
+ * @param {string} key
+ * @param {any} data
+ * @returns {Promise<{cachedAt: string, data: any}>}
+ */
+export async function writeCache(key, data) {
+  const entry = { cachedAt: new Date().toISOString(), data };
+  await mkdir(join(stateDir(), "cache"), { recursive: true });
+  await writeJson(join(stateDir(), "cache", `${key}.json`), entry);
+  return entry;
+}
+
+// ─── Refinement History ───────────────────────────────────────────────────────
+
+function refinementPath(agentId) {
+  return join(stateDir(), "refinements", `${String(agentId).replace(/[^A-Za-z0-9._-]/g, "_")}.jsonl`);
+}
+
+/**
+ * Append one `refine` iteration to the agent's history.
+ * @param {string} agentId
+ * @param {object} entry
+ * @returns {Promise<string>} The history file path
+ */
+export async function appendRefinement(agentId, entry) {
+  const path = refinementPath(agentId);
+  await mkdir(join(stateDir(), "refinements"), { recursive: true });
+  await appendFile(path, JSON.stringify(entry) + "\n");
+  return path;
+}
+
+/**
+ * Every recorded `refine` iteration for an agent, oldest first.
+ * @param {string} agentId
+ * @returns {Promise<object[]>}
+ */
+export async function readRefinements(agentId) {
+  let text;
+  try {
+    text = await readFile(refinementPath(agentId), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// ─── Webhook Events ───────────────────────────────────────────────────────────
+
+function eventsPath() {
+  return join(stateDir(), "webhook-events.jsonl");
+}
+
+/**
+ * Append a received webhook event to the local event log.
+ * @param {object} event
+ */
+export async function appendWebhookEvent(event) {
+  await mkdir(stateDir(), { recursive: true });
+  await appendFile(eventsPath(), JSON.stringify(event) + "\n");
+}
+
+/**
+ * Current end of the webhook event log, for reading only events that arrive later.
+ * @returns {Promise<number>}
+ */
+export async function webhookEventsOffset() {
+  try {
+    return (await stat(eventsPath())).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+}
+
+/**
+ * Read webhook events appended after a byte offset.
+ * Pass the returned offset back in to read only newer events.
+ * @param {number} [offset=0]
+ * @returns {Promise<{events: object[], offset: number}>}
+ */
+export async function readWebhookEvents(offset = 0) {
+  let handle;
+  try {
+    handle = await open(eventsPath(), "r");
+  } catch (err) {
+    if (err.code === "ENOENT") return { events: [], offset: 0 };
+    throw err;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size <= offset) return { events: [], offset };
+    const buffer = Buffer.alloc(size - offset);
+    await handle.read(buffer, 0, buffer.length, offset);
+
+    // Only consume complete lines; a partial last line is read next time
+    const text = buffer.toString("utf8");
+    const end = text.lastIndexOf("\n") + 1;
+    const events = text
+      .slice(0, end)
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+    return { events, offset: offset + Buffer.byteLength(text.slice(0, end)) };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Status updates read-modify-write whole run files; run them one at a time so
+// simultaneous webhook deliveries don't overwrite each other's changes
+let statusQueue = Promise.resolve();
+
+/**
+ * Record an agent's latest status on every saved run that contains it.
+ * `statusAt` keeps the first time a status was reported, so a repeated
+ * report of the same status does not move it.
+ * @param {string} agentId
+ * @param {{status: string, prUrl?: string, summary?: string, at: string}} update
+ * @returns {Promise<string[]>} Names of the runs that were updated
+ */
+export function recordAgentStatus(agentId, update) {
+  const next = statusQueue.then(() => applyAgentStatus(agentId, update));
+  statusQueue = next.catch(() => {});
+  return next;
+}
+
+async function applyAgentStatus(agentId, update) {
+  const updated = [];
+  for (const { name } of await listRuns()) {
+    let run;
+    try {
+      run = await loadRun(name);
+    } catch {
+      // Skip unreadable runs, as listRuns does
+      continue;
+    }
+    const agent = run.agents?.find((a) => a.id === agentId);
+    if (!agent) continue;
+    if (agent.status !== update.status || !agent.statusAt) agent.statusAt = update.at;
+    agent.status = update.status;
+    if (update.prUrl) agent.prUrl = update.prUrl;
+    if (update.summary) agent.summary = update.summary;
+    await saveRun(run);
+    updated.push(name);
+  }
+  return updated;
+}
+
+// ─── Audit Log ────────────────────────────────────────────────────────────────
+
+/**
+ * Path of the audit log.
+ * @returns {string}
+ */
+export function auditLogPath() {
+  return join(stateDir(), "audit.jsonl");
+}
+
+/**
+ * Append one entry to the audit log. Written synchronously, so entries made
+ * just before process.exit() — including from an "exit" handler — are kept.
+ * @param {object} entry
+ */
+export function appendAuditEntry(entry) {
+  mkdirSync(stateDir(), { recursive: true });
+  appendFileSync(auditLogPath(), JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Read every audit entry, oldest first. A line cut short by a crash
+ * mid-write is skipped.
+ * @returns {Promise<object[]>}
+ */
+export async function readAuditLog() {
+  let text;
+  try {
+    text = await readFile(auditLogPath(), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial line
+    }
+  }
+  return entries;
+}
+
+/**
+ * @typedef {object} RunAgent
+ * @property {string} taskName
+ * @property {string} [repo]
+ * @property {string} [ref]
+ * @property {string} [id]          — Missing if the launch failed or never happened
+ * @property {string} [branch]
+ * @property {string} [url]
+ * @property {string} [launchedAt]
+ * @property {string} [error]
+ * @property {string} [status]      — Latest status reported by a webhook, `poll` or `report`
+ * @property {string} [statusAt]    — When that status was first reported
+ * @property {string} [prUrl]
+ * @property {string} [summary]
+ */
+
+/**
+ * @typedef {object} Run
+ * @property {string} name
+ * @property {string} command       — "launch" | "team" | "pipeline"
+ * @property {string} [repo]        — Team default; tasks may override it
+ * @property {string} [ref]
+ * @property {string[]} [repos]     — Every repository, when a team spans more than one
+ * @property {RunAgent[]} agents
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
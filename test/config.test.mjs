@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { execFile, spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { signPayload } from "../webhook-server.mjs";
+
+const CLI = fileURLToPath(new URL("../cursor-team.mjs", import.meta.url));
+const SECRET = "test-secret-that-is-at-least-32-characters";
+
+let home;
+let env;
+
+before(async () => {
+  home = await mkdtemp(join(tmpdir(), "cursor-team-config-"));
+  env = { PATH: process.env.PATH, HOME: home, CURSOR_TEAM_HOME: join(home, "state") };
+  await mkdir(env.CURSOR_TEAM_HOME);
+});
+
+after(() => rm(home, { recursive: true, force: true }));
+
+function cli(cwd, ...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { env, cwd, timeout: 30_000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test("a broken config file only stops commands that read config", async () => {
+  const project = join(home, "broken");
+  await mkdir(project);
+  await writeFile(join(project, ".cursor-team.json"), "{ not json");
+
+  assert.equal((await cli(project, "runs")).code, 0);
+  assert.equal((await cli(project, "audit", "--limit", "1")).code, 0);
+
+  const { code, stderr } = await cli(project, "models");
+  assert.notEqual(code, 0);
+  assert.match(JSON.parse(stderr).error.message, /\.cursor-team\.json/);
+});
+
+test("serve-webhooks verifies deliveries with the config's webhookSecret", async () => {
+  await writeFile(join(env.CURSOR_TEAM_HOME, "config.json"), JSON.stringify({ webhookSecret: SECRET }));
+  const child = spawn(process.execPath, [CLI, "serve-webhooks", "--port", "0"], { env, cwd: home });
+  try {
+    const [line] = await once(child.stdout, "data");
+    const { listening } = JSON.parse(line);
+    const fixture = await readFile(new URL("../fixtures/webhook-status-change.json", import.meta.url), "utf8");
+    const post = (secret) =>
+      fetch(listening, {
+        method: "POST",
+        headers: { "X-Webhook-Signature": signPayload(secret, fixture), "X-Webhook-Event": "statusChange" },
+        body: fixture,
+      });
+    assert.equal((await post(SECRET)).status, 200);
+    assert.equal((await post("some-other-secret-of-at-least-32-chars")).status, 401);
+  } finally {
+    child.kill();
+  }
+  await once(child, "exit");
+});
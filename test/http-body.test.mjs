@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { connect } from "node:net";
+import { after, before, test } from "node:test";
+import { guardHandler, readBody } from "../http-body.mjs";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Echoes the body, answers 413 past 16 bytes, and fails on /throw
+  const handler = async (req, res) => {
+    const body = await readBody(req, { maxBytes: 16 });
+    if (req.url === "/throw") throw new Error("handler failed");
+    res.writeHead(body ? 200 : 413);
+    res.end(body ?? "");
+  };
+  server = createServer(guardHandler(handler, (err) => [500, { error: err.message }]));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("readBody returns the body, or null past maxBytes", async () => {
+  const ok = await fetch(baseUrl, { method: "POST", body: "hello" });
+  assert.equal(ok.status, 200);
+  assert.equal(await ok.text(), "hello");
+
+  const big = await fetch(baseUrl, { method: "POST", body: "x".repeat(17) });
+  assert.equal(big.status, 413);
+});
+
+test("guardHandler answers a failed handler with errorReply", async () => {
+  const res = await fetch(`${baseUrl}/throw`, { method: "POST", body: "{}" });
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), { error: "handler failed" });
+});
+
+test("a request aborted mid-body does not end the process", async () => {
+  await new Promise((resolve, reject) => {
+    const socket = connect(server.address().port, "127.0.0.1", () => {
+      socket.write("POST / HTTP/1.1\r\nHost: localhost\r\nContent-Length: 10\r\n\r\nabc");
+      setTimeout(() => {
+        socket.destroy();
+        resolve();
+      }, 50);
+    });
+    socket.on("error", reject);
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  // Still serving
+  const res = await fetch(baseUrl, { method: "POST", body: "after" });
+  assert.equal(await res.text(), "after");
+});
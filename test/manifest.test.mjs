@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applyTemplate, parseYaml, resolveTasks } from "../manifest.mjs";
+
+const yaml = (lines) => parseYaml(lines.join("\n"));
+
+describe("parseYaml quoting", () => {
+  test("single- and double-quoted scalars", () => {
+    assert.deepEqual(yaml([`a: 'it''s'`, `b: "tab\\tand \\"quotes\\""`, `c: '42'`, `d: "true"`]), {
+      a: "it's",
+      b: 'tab\tand "quotes"',
+      c: "42",
+      d: "true",
+    });
+  });
+
+  test("plain scalars are typed", () => {
+    assert.deepEqual(yaml(["a: 42", "b: -1.5", "c: true", "d: false", "e: null", "f: ~", "g:"]), {
+      a: 42,
+      b: -1.5,
+      c: true,
+      d: false,
+      e: null,
+      f: null,
+      g: null,
+    });
+  });
+
+  test("quoted keys", () => {
+    assert.deepEqual(yaml([`"a b": 1`, `'c: d': 2`]), { "a b": 1, "c: d": 2 });
+  });
+});
+
+describe("parseYaml comments", () => {
+  test("full-line and trailing comments are dropped", () => {
+    assert.deepEqual(yaml(["# header", "a: 1 # one", "  # indented", "b: two   # two"]), { a: 1, b: "two" });
+  });
+
+  test("a # inside quotes or without a space before it is kept", () => {
+    assert.deepEqual(yaml([`a: 'x # y' # z`, `b: "x # y"`, "c: issue#12", "d: [1, 'e # f'] # g"]), {
+      a: "x # y",
+      b: "x # y",
+      c: "issue#12",
+      d: [1, "e # f"],
+    });
+  });
+
+  test("an apostrophe inside a plain scalar does not open a quote", () => {
+    assert.deepEqual(yaml(["prompt: it's fine # note"]), { prompt: "it's fine" });
+    assert.deepEqual(yaml(["- don't panic # note", `- "it's # kept" # dropped`]), ["don't panic", "it's # kept"]);
+  });
+});
+
+describe("parseYaml block scalars", () => {
+  test("literal keeps line breaks and clips the final newline", () => {
+    assert.deepEqual(yaml(["prompt: |", "  line one", "    indented", "", "  line three", "", "next: x"]), {
+      prompt: "line one\n  indented\n\nline three\n",
+      next: "x",
+    });
+  });
+
+  test("folded joins lines and keeps blank lines as breaks", () => {
+    assert.deepEqual(yaml(["prompt: >", "  one", "  two", "", "  three"]), { prompt: "one two\nthree\n" });
+  });
+
+  test("chomping indicators", () => {
+    assert.deepEqual(yaml(["a: |-", "  x", "", "b: |+", "  y", "", "c: z"]), { a: "x", b: "y\n\n", c: "z" });
+  });
+
+  test("comments inside a block scalar are content", () => {
+    assert.deepEqual(yaml(["a: |", "  # not a comment", "  x"]), { a: "# not a comment\nx\n" });
+  });
+});
+
+describe("parseYaml nested collections", () => {
+  test("a sequence of maps with nested lists", () => {
+    assert.deepEqual(
+      yaml([
+        "tasks:",
+        "  - name: auth",
+        "    dependsOn: []",
+        "    images:",
+        "      - a.png",
+        "      - b.png",
+        "  - name: tests",
+        "    dependsOn: [auth]",
+      ]),
+      {
+        tasks: [
+          { name: "auth", dependsOn: [], images: ["a.png", "b.png"] },
+          { name: "tests", dependsOn: ["auth"] },
+        ],
+      }
+    );
+  });
+
+  test("a sequence at the same indentation as its key", () => {
+    assert.deepEqual(yaml(["tasks:", "- a", "- b", "repo: r"]), { tasks: ["a", "b"], repo: "r" });
+  });
+
+  test("nested sequences and flow maps", () => {
+    assert.deepEqual(yaml(["- - 1", "  - 2", "- {k: v, n: [1, 2]}"]), [[1, 2], { k: "v", n: [1, 2] }]);
+  });
+
+  test("a document start marker", () => {
+    assert.deepEqual(yaml(["---", "a: 1"]), { a: 1 });
+  });
+});
+
+describe("parseYaml errors", () => {
+  const rejects = (lines, message) =>
+    assert.throws(() => yaml(lines), (err) => err.code === "INVALID_ARGUMENT" && message.test(err.message));
+
+  test("tabs, duplicates, bad indentation and anchors", () => {
+    rejects(["a:", "\tb: 1"], /line 2: Tabs/);
+    rejects(["a: 1", "a: 2"], /line 2: Duplicate key "a"/);
+    rejects(["a: 1", "   b: 2"], /line 2: Unexpected indentation/);
+    rejects(["a: &x 1"], /Anchors/);
+    rejects(["a: 'open"], /Invalid single-quoted string/);
+  });
+});
+
+describe("prompt templates", () => {
+  test("declared variables are filled in", () => {
+    assert.equal(applyTemplate("Fix ${ticket} (${ticket})", { ticket: "ENG-1" }), "Fix ENG-1 (ENG-1)");
+  });
+
+  test("undeclared references are left as written", async () => {
+    const [task] = await resolveTasks([{ name: "a", prompt: "Use `${name}` in JS and ${HOME} in sh" }]);
+    assert.equal(task.prompt, "Use `${name}` in JS and ${HOME} in sh");
+  });
+
+  test("$${name} keeps a declared name literal", async () => {
+    const [task] = await resolveTasks([{ name: "a", prompt: "${ticket}: log `$${ticket}`" }], {
+      vars: { ticket: "ENG-1" },
+    });
+    assert.equal(task.prompt, "ENG-1: log `${ticket}`");
+  });
+});
@@ -0,0 +1,217 @@
+import assert from "node:assert/strict";
+import { execFile, spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createMockServer } from "../mock-server.mjs";
+
+const CLI = fileURLToPath(new URL("../cursor-team.mjs", import.meta.url));
+
+let server;
+let home;
+let env;
+
+before(async () => {
+  server = createMockServer({
+    scenario: {
+      stepPolls: 1,
+      lifecycles: [
+        { match: "FAIL", steps: ["CREATING", "RUNNING", "FAILED"], summary: "Tests failed" },
+        { steps: ["CREATING", "RUNNING", "FINISHED"], summary: "Done" },
+      ],
+    },
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  home = await mkdtemp(join(tmpdir(), "cursor-team-test-"));
+  env = {
+    PATH: process.env.PATH,
+    // HOME too, so no real config or OpenClaw file is picked up
+    HOME: home,
+    CURSOR_TEAM_HOME: join(home, "state"),
+    CURSOR_API_KEY: "test-key",
+    CURSOR_API_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+  };
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(home, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI against the mock. Never rejects: a failing command resolves
+ * with its exit code so tests can check error output too.
+ */
+function cli(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { env, cwd: home, timeout: 60_000 }, (err, stdout, stderr) => {
+      let json;
+      try {
+        json = JSON.parse(stdout);
+      } catch {
+        // Not every format is JSON
+      }
+      resolve({ code: err ? err.code : 0, stdout, stderr, json });
+    });
+  });
+}
+
+test("launch saves a named run", async () => {
+  const { code, json } = await cli("launch", "--repo", "acme/app", "--prompt", "Fix the bug", "--run", "single");
+  assert.equal(code, 0);
+  assert.match(json.agent.id, /^bc-mock-/);
+  assert.equal(json.run, "single");
+
+  const run = (await cli("runs", "--run", "single")).json;
+  assert.equal(run.agents[0].id, json.agent.id);
+});
+
+test("team, poll and report a run with one failure", async () => {
+  const tasks = JSON.stringify([
+    { name: "api", prompt: "Build the API" },
+    { name: "ui", prompt: "FAIL the UI" },
+  ]);
+  const team = await cli("team", "--repo", "acme/app", "--auto-pr", "--run", "squad", "--tasks", tasks);
+  assert.equal(team.code, 0);
+  assert.equal(team.json.agents.length, 2);
+
+  const poll = await cli("poll", "--run", "squad", "--interval", "1", "--timeout", "30");
+  assert.equal(poll.code, 2, "a failed agent is a partial failure");
+  assert.equal(poll.json.error.code, "PARTIAL_FAILURE");
+  assert.deepEqual(poll.json.summary, { FINISHED: 1, FAILED: 1 });
+
+  const report = await cli("report", "--run", "squad");
+  assert.equal(report.code, 0);
+  assert.deepEqual(
+    { ...report.json.summary },
+    { total: 2, succeeded: 1, failed: 1, running: 0, errors: 0, needsReview: 1 }
+  );
+  const [api, ui] = report.json.agents;
+  assert.equal(api.taskName, "api");
+  assert.equal(api.summary, "Done");
+  assert.ok(api.prUrl);
+  assert.equal(ui.status, "FAILED");
+  // poll recorded when each agent finished, so the report reuses that time
+  const run = (await cli("runs", "--run", "squad")).json;
+  assert.equal(api.endedAt, run.agents.find((a) => a.taskName === "api").statusAt);
+
+  const junit = await cli("report", "--run", "squad", "--format", "junit");
+  assert.equal(junit.code, 0);
+  assert.match(junit.stdout, /<testsuite name="squad" tests="2" failures="1" errors="0" skipped="0"/);
+  assert.match(junit.stdout, /<failure message="Agent FAILED" type="FAILED">Tests failed<\/failure>/);
+
+  const markdown = await cli("report", "--run", "squad", "--format", "markdown");
+  assert.match(markdown.stdout, /^# Run: squad/);
+  assert.match(markdown.stdout, /## Pull Requests to Review/);
+});
+
+test("team and pipeline record when each agent finished", async () => {
+  const tasks = JSON.stringify([
+    { name: "api", prompt: "Build the API" },
+    { name: "docs", prompt: "Document the API", dependsOn: ["api"] },
+  ]);
+  const team = await cli("team", "--repo", "acme/app", "--run", "graph", "--interval", "1", "--tasks", tasks);
+  assert.equal(team.code, 0);
+  const stages = JSON.stringify([
+    { name: "build", prompt: "Build it" },
+    { name: "review", prompt: "Review it" },
+  ]);
+  const pipeline = await cli("pipeline", "--repo", "acme/app", "--run", "chain", "--interval", "1", "--stages", stages);
+  assert.equal(pipeline.code, 0);
+
+  for (const name of ["graph", "chain"]) {
+    const run = (await cli("runs", "--run", name)).json;
+    assert.equal(run.agents.length, 2);
+    for (const agent of run.agents) {
+      assert.equal(agent.status, "FINISHED", `${name}/${agent.taskName}`);
+      assert.ok(agent.statusAt >= agent.launchedAt, `${name}/${agent.taskName}`);
+      assert.equal(agent.summary, "Done");
+    }
+  }
+});
+
+test("a --max-concurrent team reports queue progress on stderr", async () => {
+  const tasks = JSON.stringify(["a", "b", "c"].map((name) => ({ name, prompt: `Task ${name}` })));
+  const args = ["--repo", "acme/app", "--run", "capped", "--max-concurrent", "1", "--interval", "1"];
+  const { code, json, stderr } = await cli("team", ...args, "--tasks", tasks);
+  assert.equal(code, 0);
+  assert.deepEqual(json.queue, { queued: 0, running: 0, done: 3 });
+
+  const progress = stderr
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .filter((line) => line.type === "progress");
+  assert.deepEqual(progress[0].queue, { queued: 2, running: 1, done: 0 });
+  assert.deepEqual(progress.at(-1).queue, { queued: 0, running: 0, done: 3 });
+  assert.ok(progress.every((line) => line.run === "capped"));
+});
+
+test("poll rejects --fail-fast with --via-webhook", async () => {
+  const { code, stderr } = await cli("poll", "--run", "single", "--via-webhook", "--fail-fast");
+  assert.equal(code, 4);
+  assert.equal(JSON.parse(stderr).error.code, "INVALID_ARGUMENT");
+});
+
+test("a multi-repo dry run lists existing agents once", async () => {
+  await cli("launch", "--repo", "acme/app", "--prompt", "Start the feature", "--branch", "feat/shared");
+  const tasks = JSON.stringify([
+    { name: "api", repo: "acme/app", branch: "feat/shared", prompt: "Build the API" },
+    { name: "web", repo: "acme/web", branch: "feat/shared", prompt: "Build the UI" },
+  ]);
+  const listings = () => server.mock.requests.filter((r) => r.method === "GET" && r.path === "/v0/agents").length;
+  const before = listings();
+  const { json } = await cli("team", "--dry-run", "--tasks", tasks);
+  assert.equal(listings() - before, 1);
+
+  // The same branch on two repos is fine; only the repo that already has it warns
+  const branchIssues = json.issues.filter((i) => i.field === "branch");
+  assert.deepEqual(branchIssues.map((i) => [i.level, i.task]), [["warning", "api"]]);
+});
+
+test("report flags agents it cannot fetch", async () => {
+  const { code, json } = await cli("report", "--ids", '["bc-missing"]');
+  assert.equal(code, 2);
+  assert.equal(json.agents[0].error.code, "NOT_FOUND");
+  assert.equal(json.error.code, "PARTIAL_FAILURE");
+});
+
+test("report --ids skips saved runs it cannot read", async () => {
+  const { json: launched } = await cli("launch", "--repo", "acme/app", "--prompt", "Tidy up", "--run", "tidy");
+  const broken = join(env.CURSOR_TEAM_HOME, "runs", "broken.json");
+  await writeFile(broken, JSON.stringify({ name: "broken", createdAt: "9999-01-01T00:00:00.000Z" }));
+  try {
+    const { code, json } = await cli("report", "--ids", JSON.stringify([launched.agent.id]));
+    assert.equal(code, 0);
+    assert.equal(json.runWarning, "Skipped unreadable runs: broken");
+    assert.equal(json.agents[0].id, launched.agent.id);
+  } finally {
+    await rm(broken);
+  }
+});
+
+test("the mock-server API key stays out of the audit log", async () => {
+  const child = spawn(process.execPath, [CLI, "mock-server", "--port", "0", "--api-key", "mock-only-key"], {
+    env,
+    cwd: home,
+  });
+  try {
+    // The first line says where it listens, after the command was logged
+    await once(child.stdout, "data");
+  } finally {
+    child.kill();
+  }
+  await once(child, "exit");
+
+  const log = await readFile(join(env.CURSOR_TEAM_HOME, "audit.jsonl"), "utf8");
+  const entry = log
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .find((e) => e.type === "command" && e.command === "mock-server");
+  assert.equal(entry.options["api-key"], "<redacted>");
+  assert.doesNotMatch(log, /mock-only-key/);
+});
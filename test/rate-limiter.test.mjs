@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { RateLimiter, endpointFamily } from "../rate-limiter.mjs";
+
+test("maps API paths to rate-limit families", () => {
+  assert.equal(endpointFamily("/v0/agents/bc_1/stop"), "agents");
+  assert.equal(endpointFamily("/v0/repositories"), "repositories");
+  assert.equal(endpointFamily("/v0/me"), null);
+});
+
+test("an aborted waiter leaves the queue without consuming a token", async () => {
+  const limiter = new RateLimiter({ limits: { agents: [{ capacity: 1, windowMs: 400 }] } });
+  await limiter.acquire("agents");
+
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const aborted = limiter.acquire("agents", { signal: controller.signal });
+  const next = limiter.acquire("agents").then(() => Date.now() - startedAt);
+  setTimeout(() => controller.abort(), 50);
+
+  await assert.rejects(aborted, { name: "AbortError" });
+  // The next caller gets the token that refills after one window, not after two
+  const waitedMs = await next;
+  assert.ok(waitedMs < 700, `waited ${waitedMs}ms`);
+  assert.ok((await limiter.waitTime("agents")) > 0, "the token went to the next caller");
+});
+
+test("an already aborted signal rejects without waiting", async () => {
+  const limiter = new RateLimiter({ limits: { agents: [{ capacity: 1, windowMs: 60_000 }] } });
+  await assert.rejects(limiter.acquire("agents", { signal: AbortSignal.abort() }), { name: "AbortError" });
+  assert.equal(await limiter.waitTime("agents"), 0);
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { after, before, test } from "node:test";
+import { createWebhookServer, signPayload } from "../webhook-server.mjs";
+
+const SECRET = "test-secret-that-is-at-least-32-characters";
+const fixture = await readFile(new URL("../fixtures/webhook-status-change.json", import.meta.url), "utf8");
+
+let server;
+let baseUrl;
+const events = [];
+
+before(async () => {
+  server = createWebhookServer({ secret: SECRET, onEvent: (event) => events.push(event) });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function post(body, signature) {
+  return fetch(`${baseUrl}/`, {
+    method: "POST",
+    headers: { "X-Webhook-Signature": signature, "X-Webhook-Event": "statusChange", "X-Webhook-ID": "delivery-1" },
+    body,
+  });
+}
+
+test("accepts the fixture with a valid signature", async () => {
+  events.length = 0;
+  const res = await post(fixture, signPayload(SECRET, fixture));
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].id, "bc_abc123");
+  assert.equal(events[0].status, "FINISHED");
+  assert.equal(events[0].deliveryId, "delivery-1");
+  assert.equal(events[0].prUrl, "https://github.com/owner/repo/pull/42");
+});
+
+test("rejects the fixture with a bad signature", async () => {
+  events.length = 0;
+  const res = await post(fixture, signPayload("some-other-secret-of-at-least-32-chars", fixture));
+  assert.equal(res.status, 401);
+  assert.equal(events.length, 0);
+});
@@ -0,0 +1,210 @@
+/**
+ * Render agent conversations as readable transcripts for code review.
+ *
+ * A transcript document holds one section per agent: a header with the
+ * agent's status, branch, PR and summary, then each user/assistant turn.
+ * Formats: markdown, html, text.
+ */
+
+import { codedError } from "./errors.mjs";
+
+export const TRANSCRIPT_FORMATS = ["markdown", "html", "text"];
+
+const ROLE_LABELS = {
+  user_message: "User",
+  assistant_message: "Assistant",
+};
+
+/**
+ * Timestamp of a message, if the API included one.
+ * @param {object} message
+ * @returns {string|undefined}
+ */
+function messageTime(message) {
+  return message.createdAt || message.timestamp;
+}
+
+function roleLabel(message) {
+  return ROLE_LABELS[message.type] || message.type || "Message";
+}
+
+/**
+ * Narrow a conversation to recent messages.
+ *
+ * `since` is either a message ID (keep the messages after it) or a date/time
+ * (keep messages at or after it). Time filtering needs per-message
+ * timestamps; messages without one are kept.
+ * @param {object[]} messages
+ * @param {object} [filters]
+ * @param {string} [filters.since]
+ * @param {number} [filters.last]  — Keep only the last N (applied after `since`)
+ * @returns {object[]}
+ */
+export function filterMessages(messages, { since, last } = {}) {
+  let result = messages;
+  if (since) {
+    const index = messages.findIndex((m) => m.id === since);
+    if (index !== -1) {
+      result = messages.slice(index + 1);
+    } else {
+      const sinceMs = Date.parse(since);
+      if (Number.isNaN(sinceMs)) {
+        throw codedError(
+          "INVALID_ARGUMENT",
+          `--since must be a message ID from this conversation or a date/time, got "${since}"`
+        );
+      }
+      result = messages.filter((m) => {
+        const at = Date.parse(messageTime(m));
+        return Number.isNaN(at) || at >= sinceMs;
+      });
+    }
+  }
+  if (last !== undefined) result = result.slice(-last);
+  return result;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Header fields shown for each agent, skipping ones the API did not return.
+ * @param {TranscriptSection} section
+ * @returns {Array<[string, string]>}
+ */
+function agentDetails(section) {
+  const agent = section.agent || {};
+  return [
+    ["Agent", section.id],
+    ["Task", section.taskName],
+    ["Status", agent.status],
+    ["Branch", agent.target?.branchName],
+    ["PR", agent.target?.prUrl],
+    ["Summary", agent.summary],
+  ].filter(([, value]) => value);
+}
+
+function sectionTitle(section) {
+  return section.taskName || section.agent?.name || section.id;
+}
+
+function renderMarkdown(title, sections) {
+  const lines = [`# ${title}`, ""];
+  for (const section of sections) {
+    lines.push(`## ${sectionTitle(section)}`, "");
+    for (const [label, value] of agentDetails(section)) {
+      lines.push(`- **${label}:** ${value}`);
+    }
+    lines.push("");
+    if (section.error) {
+      lines.push(`> Could not fetch conversation: ${section.error.message}`, "");
+      continue;
+    }
+    for (const message of section.messages) {
+      const at = messageTime(message);
+      lines.push(`### ${roleLabel(message)}${at ? ` · ${at}` : ""}`, "", message.text || "", "");
+    }
+  }
+  return lines.join("\n");
+}
+
+function renderHtml(title, sections) {
+  const parts = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    "<style>",
+    "body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; }",
+    "dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }",
+    "dt { font-weight: 600; }",
+    ".turn { border-left: 4px solid #ccc; margin: 1rem 0; padding: 0.25rem 1rem; }",
+    ".user_message { border-color: #3b82f6; }",
+    ".assistant_message { border-color: #10b981; }",
+    ".turn pre { white-space: pre-wrap; font: inherit; }",
+    ".error { color: #b91c1c; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    `<h1>${escapeHtml(title)}</h1>`,
+  ];
+  for (const section of sections) {
+    parts.push("<section>", `<h2>${escapeHtml(sectionTitle(section))}</h2>`, "<dl>");
+    for (const [label, value] of agentDetails(section)) {
+      const shown = /^https?:\/\//.test(value)
+        ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>`
+        : escapeHtml(value);
+      parts.push(`<dt>${label}</dt><dd>${shown}</dd>`);
+    }
+    parts.push("</dl>");
+    if (section.error) {
+      parts.push(`<p class="error">Could not fetch conversation: ${escapeHtml(section.error.message)}</p>`);
+    } else {
+      for (const message of section.messages) {
+        const at = messageTime(message);
+        parts.push(
+          `<div class="turn ${escapeHtml(message.type || "")}">`,
+          `<h3>${escapeHtml(roleLabel(message))}${at ? ` <time datetime="${escapeHtml(at)}">${escapeHtml(at)}</time>` : ""}</h3>`,
+          `<pre>${escapeHtml(message.text || "")}</pre>`,
+          "</div>"
+        );
+      }
+    }
+    parts.push("</section>");
+  }
+  parts.push("</body>", "</html>", "");
+  return parts.join("\n");
+}
+
+function renderText(title, sections) {
+  const lines = [title, "=".repeat(title.length), ""];
+  for (const section of sections) {
+    const heading = sectionTitle(section);
+    lines.push(heading, "-".repeat(heading.length));
+    for (const [label, value] of agentDetails(section)) {
+      lines.push(`${label}: ${value}`);
+    }
+    lines.push("");
+    if (section.error) {
+      lines.push(`Could not fetch conversation: ${section.error.message}`, "");
+      continue;
+    }
+    for (const message of section.messages) {
+      const at = messageTime(message);
+      lines.push(`${at ? `[${at}] ` : ""}${roleLabel(message).toUpperCase()}:`, message.text || "", "");
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Render transcripts into one document.
+ * @param {"markdown"|"html"|"text"} format
+ * @param {string} title
+ * @param {TranscriptSection[]} sections
+ * @returns {string}
+ */
+export function renderTranscript(format, title, sections) {
+  if (format === "markdown") return renderMarkdown(title, sections);
+  if (format === "html") return renderHtml(title, sections);
+  if (format === "text") return renderText(title, sections);
+  throw codedError(
+    "INVALID_ARGUMENT",
+    `Unknown format "${format}". Use json, ${TRANSCRIPT_FORMATS.join(", ")}.`
+  );
+}
+
+/**
+ * @typedef {object} TranscriptSection
+ * @property {string} id
+ * @property {string} [taskName]
+ * @property {object} [agent]        — Agent details for the header, if fetched
+ * @property {object[]} [messages]   — Filtered conversation messages
+ * @property {{message: string}} [error] — Set when the conversation could not be fetched
+ */
@@ -0,0 +1,134 @@
+/**
+ * Receiver for Cursor Cloud Agent webhooks.
+ *
+ * Cursor POSTs a `statusChange` event to the launch's `webhook.url` and signs
+ * the raw body with HMAC-SHA256 using `webhook.secret`:
+ *
+ *   X-Webhook-Signature: sha256=<hex digest>
+ *   X-Webhook-Event:     statusChange
+ *   X-Webhook-ID:        <delivery id>
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { codedError } from "./errors.mjs";
+import { guardHandler, readBody } from "./http-body.mjs";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Compute the signature header value for a raw webhook body.
+ * @param {string} secret
+ * @param {string|Buffer} rawBody
+ * @returns {string} `sha256=<hex>`
+ */
+export function signPayload(secret, rawBody) {
+  return `sha256=${createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+}
+
+/**
+ * Check a signature header against the raw body in constant time.
+ * @param {string} secret
+ * @param {string|Buffer} rawBody
+ * @param {string|undefined} signature — X-Webhook-Signature header value
+ * @returns {boolean}
+ */
+export function verifySignature(secret, rawBody, signature) {
+  if (!signature) return false;
+  const expected = Buffer.from(signPayload(secret, rawBody));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Normalize a webhook payload into the event shape recorded locally.
+ * Webhooks report failures as `ERROR`; map that to the API's `FAILED`.
+ * @param {object} payload
+ * @param {string} [deliveryId]
+ * @returns {WebhookEvent}
+ */
+export function toStatusEvent(payload, deliveryId) {
+  return {
+    deliveryId,
+    event: payload.event,
+    id: payload.id,
+    status: payload.status === "ERROR" ? "FAILED" : payload.status,
+    timestamp: payload.timestamp || new Date().toISOString(),
+    receivedAt: new Date().toISOString(),
+    repository: payload.source?.repository,
+    ref: payload.source?.ref,
+    branch: payload.target?.branchName,
+    url: payload.target?.url,
+    prUrl: payload.target?.prUrl,
+    summary: payload.summary,
+  };
+}
+
+/**
+ * Create (but do not start) an HTTP server that accepts signed webhooks.
+ * Requests with a missing or invalid signature get 401 and never reach `onEvent`.
+ * @param {object} options
+ * @param {string} options.secret                           — Same secret passed as webhookSecret at launch
+ * @param {string} [options.path="/"]                       — Only this path accepts events
+ * @param {(event: WebhookEvent) => Promise<void>|void} options.onEvent
+ * @returns {import("node:http").Server}
+ */
+export function createWebhookServer({ secret, path = "/", onEvent }) {
+  if (!secret || secret.length < 32) {
+    throw codedError("INVALID_ARGUMENT", "Webhook secret must be at least 32 characters");
+  }
+
+  const handleDelivery = async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== path) return reply(404, { error: "Not found" });
+    if (req.method !== "POST") return reply(405, { error: "Method not allowed" });
+
+    const rawBody = await readBody(req, { maxBytes: MAX_BODY_BYTES });
+    if (!rawBody) return reply(413, { error: "Payload too large" });
+
+    if (!verifySignature(secret, rawBody, req.headers["x-webhook-signature"])) {
+      return reply(401, { error: "Invalid signature" });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString("utf8"));
+    } catch {
+      return reply(400, { error: "Invalid JSON" });
+    }
+    if (!payload?.id || !payload?.status) {
+      return reply(400, { error: 'Payload must include "id" and "status"' });
+    }
+
+    try {
+      await onEvent(toStatusEvent(payload, req.headers["x-webhook-id"]));
+    } catch (err) {
+      return reply(500, { error: err.message });
+    }
+    reply(200, { ok: true });
+  };
+
+  // Callers are unauthenticated, so the error itself is not echoed back
+  return createServer(guardHandler(handleDelivery, () => [400, { error: "Bad request" }]));
+}
+
+/**
+ * @typedef {object} WebhookEvent
+ * @property {string} [deliveryId]
+ * @property {string} event        — e.g. "statusChange"
+ * @property {string} id           — Agent ID
+ * @property {string} status
+ * @property {string} timestamp    — When Cursor emitted the event
+ * @property {string} receivedAt   — When this server received it
+ * @property {string} [repository]
+ * @property {string} [ref]
+ * @property {string} [branch]
+ * @property {string} [url]
+ * @property {string} [prUrl]
+ * @property {string} [summary]
+ */